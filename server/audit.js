@@ -0,0 +1,108 @@
+const db = require('./db');
+
+// 审计日志操作类型
+const AUDIT_ACTIONS = {
+  LOGIN: 'login',
+  LOGIN_FAIL: 'login_fail',
+  REGISTER: 'register',
+  LOGOUT: 'logout',
+  KICK: 'kick',
+  BAN: 'ban',
+  UNBAN: 'unban',
+  ANNOUNCE: 'announce',
+  RECALL_MESSAGE: 'recall_message',
+  DELETE_MESSAGE: 'delete_message',
+  MODERATION: 'moderation',
+  MUTE: 'mute',
+  UNMUTE: 'unmute',
+  ROOM_RESTRICT: 'room_restrict',
+  DEVICE: 'device',
+  PASSWORD: 'password',
+  UNLOCK: 'unlock',
+  SESSION: 'session',
+  UPLOAD: 'upload'
+};
+// 日志分页大小
+const LOG_PAGE_SIZE = 50;
+const LOG_MAX_PAGE_SIZE = 200;
+
+/**
+ * 审计日志管理器
+ * 记录登录、管理操作等重要事件，持久化在logs.db中
+ */
+class AuditManager {
+  /**
+   * 记录一条审计日志，写入失败只打印错误，不影响业务流程
+   * @param {Object} entry - 日志内容
+   * @param {string} entry.action - 操作类型
+   * @param {string} entry.actor - 操作者用户名
+   * @param {string} entry.actorId - 操作者用户ID
+   * @param {string} entry.target - 操作对象（用户名、消息ID等）
+   * @param {string} entry.ip - 操作者IP
+   * @param {Object} entry.fingerprint - 设备指纹验证结果
+   * @param {*} entry.detail - 其他信息
+   * @returns {Promise<Object|null>} - 保存的日志
+   */
+  async log({ action, actor, actorId = null, target = null, ip = null, fingerprint = null, detail = null }) {
+    const doc = {
+      action,
+      actor: actor || null,
+      actorId,
+      target,
+      ip,
+      // 只保留指纹验证的结论，不保存完整的指纹数据
+      fingerprint: fingerprint ? {
+        allowed: fingerprint.allowed,
+        reason: fingerprint.reason,
+        matchType: fingerprint.matchType || null,
+        similarityScore: fingerprint.similarityScore || null
+      } : null,
+      detail,
+      time: new Date().getTime()
+    };
+    try {
+      return await db.log.insert(doc);
+    } catch (err) {
+      console.error('写入审计日志失败:', err);
+      return null;
+    }
+  }
+
+  /**
+   * 分页查询审计日志，按时间倒序
+   * @param {Object} filters - 查询条件
+   * @param {string|Array<string>} filters.action - 操作类型
+   * @param {string} filters.user - 用户名，匹配操作者或操作对象
+   * @param {number} filters.from - 开始时间
+   * @param {number} filters.to - 结束时间
+   * @param {number} filters.page - 页码，从1开始
+   * @param {number} filters.limit - 每页条数
+   * @returns {Promise<Object>} - { logs, total, page, limit }
+   */
+  async query(filters = {}) {
+    const query = {};
+    if (filters.action) {
+      query.action = Array.isArray(filters.action) ? { $in: filters.action } : filters.action;
+    }
+    if (filters.user) {
+      query.$or = [{ actor: filters.user }, { target: filters.user }];
+    }
+    if (filters.from || filters.to) {
+      query.time = {};
+      if (filters.from) {
+        query.time.$gte = Number(filters.from);
+      }
+      if (filters.to) {
+        query.time.$lte = Number(filters.to);
+      }
+    }
+    const limit = Math.min(parseInt(filters.limit) || LOG_PAGE_SIZE, LOG_MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+
+    const total = await db.log.count(query);
+    const logs = await db.log.find(query, { sort: { time: -1 }, skip: (page - 1) * limit, limit });
+    return { logs, total, page, limit };
+  }
+}
+
+module.exports = { AuditManager, AUDIT_ACTIONS };
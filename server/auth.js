@@ -1,4 +1,5 @@
 const dotenv = require('dotenv');
+const bcrypt = require('bcrypt');
 dotenv.config();
 
 // 用户角色枚举
@@ -13,14 +14,20 @@ const PERMISSIONS = {
   KICK_USER: 'kick_user',
   BAN_USER: 'ban_user',
   VIEW_USER_LIST: 'view_user_list',
+  MANAGE_DEVICES: 'manage_devices',
   
   // 消息管理权限
   DELETE_MESSAGE: 'delete_message',
   MODERATE_CHAT: 'moderate_chat',
+  MANAGE_ROOMS: 'manage_rooms',
   
   // 系统管理权限
   SYSTEM_ANNOUNCE: 'system_announce',
-  VIEW_LOGS: 'view_logs'
+  VIEW_LOGS: 'view_logs',
+  RESET_PASSWORD: 'reset_password',
+  MANAGE_LOCKOUTS: 'manage_lockouts',
+  REVOKE_SESSIONS: 'revoke_sessions',
+  MANAGE_UPLOADS: 'manage_uploads'
 };
 
 // 角色权限映射
@@ -29,22 +36,131 @@ const ROLE_PERMISSIONS = {
     PERMISSIONS.KICK_USER,
     PERMISSIONS.BAN_USER,
     PERMISSIONS.VIEW_USER_LIST,
+    PERMISSIONS.MANAGE_DEVICES,
     PERMISSIONS.DELETE_MESSAGE,
     PERMISSIONS.MODERATE_CHAT,
+    PERMISSIONS.MANAGE_ROOMS,
     PERMISSIONS.SYSTEM_ANNOUNCE,
-    PERMISSIONS.VIEW_LOGS
+    PERMISSIONS.VIEW_LOGS,
+    PERMISSIONS.RESET_PASSWORD,
+    PERMISSIONS.MANAGE_LOCKOUTS,
+    PERMISSIONS.REVOKE_SESSIONS,
+    PERMISSIONS.MANAGE_UPLOADS
   ],
   [USER_ROLES.USER]: [
     // 普通用户暂时没有特殊权限
   ]
 };
 
+// 登录、注册失败的错误码，随loginFail/registerFail事件发给客户端
+const AUTH_ERRORS = {
+  EMPTY_FIELDS: 'empty_fields',
+  // 用户不存在和密码错误使用同一个错误码，不暴露账户是否存在
+  INVALID_CREDENTIALS: 'invalid_credentials',
+  WRONG_PASSWORD: 'wrong_password',
+  LOCKED: 'locked',
+  USERNAME_TAKEN: 'username_taken',
+  INVALID_USERNAME: 'invalid_username',
+  RESERVED_USERNAME: 'reserved_username',
+  WEAK_PASSWORD: 'weak_password',
+  BANNED: 'banned',
+  ONLINE: 'online',
+  DEVICE_REJECTED: 'device_rejected',
+  INVALID_RESET_CODE: 'invalid_reset_code',
+  // 访问token过期，客户端可以使用刷新token重新登录
+  TOKEN_EXPIRED: 'token_expired',
+  SESSION_REVOKED: 'session_revoked'
+};
+
+// 用户名：2-16位中文、字母、数字、下划线或短横线
+const USERNAME_REG = /^[\u4e00-\u9fa5A-Za-z0-9_-]{2,16}$/;
+// 系统保留的用户名，配置的管理员账户名同样不能注册
+const RESERVED_USERNAMES = ['admin', 'administrator', 'root', 'system', '系统', '管理员'];
+// bcrypt哈希的格式，ADMIN_ACCOUNTS中的密码可以是明文或bcrypt哈希
+const BCRYPT_HASH_REG = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+// 密码可要求包含的字符类型
+const PASSWORD_CHAR_RULES = {
+  letter: { reg: /[A-Za-z]/, text: '字母' },
+  upper: { reg: /[A-Z]/, text: '大写字母' },
+  lower: { reg: /[a-z]/, text: '小写字母' },
+  digit: { reg: /[0-9]/, text: '数字' },
+  symbol: { reg: /[^A-Za-z0-9]/, text: '符号' }
+};
+
 class AuthManager {
   constructor() {
     this.adminAccounts = this.parseAdminAccounts();
+    this.passwordPolicy = this.parsePasswordPolicy();
+    this.reservedUsernames = this.parseReservedUsernames();
+  }
+
+  /**
+   * 解析密码强度配置：PASSWORD_MIN_LENGTH最小长度（默认6），
+   * PASSWORD_RULES必须包含的字符类型，逗号分隔，可选letter、upper、lower、digit、symbol
+   * @returns {Object} - { minLength, maxLength, rules }
+   */
+  parsePasswordPolicy() {
+    const minLength = parseInt(process.env.PASSWORD_MIN_LENGTH) || 6;
+    const rules = (process.env.PASSWORD_RULES || '')
+      .split(',')
+      .map(rule => rule.trim())
+      .filter(rule => {
+        if (rule && !PASSWORD_CHAR_RULES[rule]) {
+          console.warn(`忽略无效的密码规则：${rule}`);
+        }
+        return PASSWORD_CHAR_RULES[rule];
+      });
+    // bcrypt只使用前72个字节
+    return { minLength, maxLength: 72, rules };
+  }
+
+  // 解析保留用户名，RESERVED_USERNAMES配置的名称追加到默认列表
+  parseReservedUsernames() {
+    const extra = (process.env.RESERVED_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean);
+    return [...RESERVED_USERNAMES, ...extra, ...this.adminAccounts.keys()].map(name => name.toLowerCase());
+  }
+
+  /**
+   * 校验注册的用户名
+   * @param {string} username - 用户名
+   * @returns {Object|null} - 不合法时返回 { code, message, field }
+   */
+  validateUsername(username) {
+    if (typeof username !== 'string' || !USERNAME_REG.test(username)) {
+      return { code: AUTH_ERRORS.INVALID_USERNAME, message: '用户名为2-16位中文、字母、数字、下划线或短横线', field: 'name' };
+    }
+    if (this.reservedUsernames.includes(username.toLowerCase())) {
+      return { code: AUTH_ERRORS.RESERVED_USERNAME, message: '该用户名为系统保留，请更换', field: 'name' };
+    }
+    return null;
   }
 
-  // 解析管理员账户配置
+  /**
+   * 按密码强度配置校验密码
+   * @param {string} password - 密码
+   * @param {string} username - 用户名，密码不能与之相同
+   * @returns {Object|null} - 不合法时返回 { code, message, field }
+   */
+  validatePassword(password, username) {
+    const { minLength, maxLength, rules } = this.passwordPolicy;
+    const fail = (message) => ({ code: AUTH_ERRORS.WEAK_PASSWORD, message, field: 'password' });
+    if (typeof password !== 'string' || password.length < minLength) {
+      return fail(`密码长度不能少于${minLength}位`);
+    }
+    if (Buffer.byteLength(password) > maxLength) {
+      return fail(`密码长度不能超过${maxLength}个字节`);
+    }
+    const missing = rules.filter(rule => !PASSWORD_CHAR_RULES[rule].reg.test(password));
+    if (missing.length > 0) {
+      return fail(`密码必须包含${rules.map(rule => PASSWORD_CHAR_RULES[rule].text).join('、')}`);
+    }
+    if (username && password.toLowerCase() === username.toLowerCase()) {
+      return fail('密码不能与用户名相同');
+    }
+    return null;
+  }
+
+  // 解析管理员账户配置，密码可以是明文或bcrypt哈希（使用`npm run hash-password`生成）
   parseAdminAccounts() {
     const adminAccountsStr = process.env.ADMIN_ACCOUNTS || '';
     const accounts = new Map();
@@ -62,15 +178,30 @@ class AuthManager {
     return accounts;
   }
 
-  // 检查是否为管理员账户
-  isAdminAccount(username, password) {
+  // 检查是否为管理员账户，配置的密码为bcrypt哈希时按哈希校验
+  async isAdminAccount(username, password) {
     const adminPassword = this.adminAccounts.get(username);
-    return adminPassword && adminPassword === password;
+    if (!adminPassword || typeof password !== 'string') {
+      return false;
+    }
+    if (BCRYPT_HASH_REG.test(adminPassword)) {
+      return bcrypt.compare(password, adminPassword);
+    }
+    return adminPassword === password;
   }
 
   // 获取用户角色
-  getUserRole(username, password) {
-    if (this.isAdminAccount(username, password)) {
+  async getUserRole(username, password) {
+    if (await this.isAdminAccount(username, password)) {
+      return USER_ROLES.ADMIN;
+    }
+    return USER_ROLES.USER;
+  }
+
+  // 根据用户库中的账户记录确定角色，token登录时使用，不信任token中的角色
+  // 配置的管理员账户的记录没有密码，从配置中移除后不再是管理员
+  getAccountRole(account) {
+    if (this.adminAccounts.has(account.name) && !account.password) {
       return USER_ROLES.ADMIN;
     }
     return USER_ROLES.USER;
@@ -117,6 +248,7 @@ class AuthManager {
 
 module.exports = {
   AuthManager,
+  AUTH_ERRORS,
   USER_ROLES,
   PERMISSIONS,
   ROLE_PERMISSIONS
@@ -0,0 +1,102 @@
+const db = require('./db');
+
+/**
+ * 封禁管理器
+ * 封禁按账户名生效，也可以同时封禁该账户的设备指纹和IP
+ */
+class BanManager {
+  /**
+   * 封禁用户，同一账户已有的封禁会被新的封禁替换
+   * @param {Object} options - 封禁参数
+   * @param {string} options.username - 账户名
+   * @param {string} options.reason - 封禁原因
+   * @param {number} options.duration - 封禁时长（毫秒），为空表示永久封禁
+   * @param {string} options.admin - 执行封禁的管理员
+   * @param {string} options.fingerprintHash - 要一并封禁的设备指纹哈希
+   * @param {string} options.ip - 要一并封禁的IP地址
+   * @returns {Promise<Object>} - 封禁记录
+   */
+  async banUser({ username, reason, duration, admin, fingerprintHash = null, ip = null }) {
+    await this.unbanUser(username, admin);
+    const now = new Date().getTime();
+    const ban = {
+      username,
+      fingerprintHash,
+      ip,
+      reason: reason || '',
+      admin,
+      createdAt: now,
+      expiresAt: duration > 0 ? now + duration : null,
+      active: true
+    };
+    return db.ban.insert(ban);
+  }
+
+  /**
+   * 解除账户的封禁，保留封禁记录
+   * @param {string} username - 账户名
+   * @param {string} admin - 执行解封的管理员
+   * @returns {Promise<number>} - 解除的封禁数
+   */
+  async unbanUser(username, admin) {
+    const { numAffected } = await db.ban.update(
+      { username, active: true },
+      { $set: { active: false, liftedBy: admin, liftedAt: new Date().getTime() } },
+      { multi: true }
+    );
+    return numAffected;
+  }
+
+  /**
+   * 查找生效中的封禁，账户名、设备指纹、IP任一命中即视为被封禁
+   * @param {Object} target - 登录信息
+   * @param {string} target.username - 账户名
+   * @param {string} target.fingerprintHash - 设备指纹哈希
+   * @param {string} target.ip - IP地址
+   * @returns {Promise<Object|null>} - 命中的封禁记录
+   */
+  async findActiveBan({ username, fingerprintHash, ip }) {
+    const conditions = [{ username }];
+    if (fingerprintHash) {
+      conditions.push({ fingerprintHash });
+    }
+    if (ip) {
+      conditions.push({ ip });
+    }
+    const now = new Date().getTime();
+    return db.ban.findOne({
+      active: true,
+      $and: [
+        { $or: conditions },
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+      ]
+    });
+  }
+
+  /**
+   * 获取所有生效中的封禁（管理员功能）
+   * @returns {Promise<Array>}
+   */
+  async getActiveBans() {
+    const now = new Date().getTime();
+    return db.ban.find({
+      active: true,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }, { sort: { createdAt: -1 } });
+  }
+
+  /**
+   * 生成给被封禁用户看的提示
+   * @param {Object} ban - 封禁记录
+   * @returns {string}
+   */
+  describe(ban) {
+    const reason = ban.reason ? `，原因：${ban.reason}` : '';
+    const until = ban.expiresAt
+      ? `，解封时间：${new Date(ban.expiresAt).toLocaleString('zh-CN')}`
+      : '，永久封禁';
+    return `您已被管理员封禁${reason}${until}`;
+  }
+}
+
+module.exports = BanManager;
@@ -0,0 +1,146 @@
+/**
+ * 相似设备检索性能测试
+ * 在内存数据库中生成大量模拟设备记录，对比逐条比对与索引检索的耗时，并校验两者结果一致
+ * 用法：npm run benchmark:similarity -- [记录数] [查询数]
+ */
+const FingerprintManager = require('./fingerprint');
+const { loadPolicy } = require('./policy');
+
+const RECORD_COUNT = parseInt(process.argv[2]) || 20000;
+const QUERY_COUNT = parseInt(process.argv[3]) || 200;
+
+// 模拟常见设备的取值范围，低权重特征取值较少，会有大量重复
+const USER_AGENTS = Array.from({ length: 40 }, (_, i) => `Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/${100 + i}.0`);
+const RESOLUTIONS = ['1920x1080', '1366x768', '1536x864', '2560x1440', '1440x900', '390x844', '414x896', '360x800'];
+const TIMEZONES = ['Asia/Shanghai', 'Asia/Hong_Kong', 'Asia/Tokyo', 'America/New_York', 'Europe/London'];
+const CPU_CORES = [2, 4, 6, 8, 12, 16];
+const MEMORY = [2, 4, 8, 16];
+const WEBGL_VENDORS = ['Google Inc. (NVIDIA)', 'Google Inc. (Intel)', 'Google Inc. (AMD)', 'Apple Inc.'];
+const WEBGL_RENDERERS = Array.from({ length: 60 }, (_, i) => `ANGLE (GPU Model ${i})`);
+const FONTS = ['Arial', 'SimSun', 'Microsoft YaHei', 'KaiTi', 'Courier New', 'Verdana', 'Tahoma', 'Georgia'];
+
+// 固定种子的伪随机数，保证每次运行的数据相同
+let seed = 20240601;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+function pick(list) {
+  return list[Math.floor(random() * list.length)];
+}
+function hash(prefix) {
+  return prefix + Math.floor(random() * 1e12).toString(36);
+}
+
+function createFingerprint() {
+  return {
+    userAgent: pick(USER_AGENTS),
+    screenResolution: pick(RESOLUTIONS),
+    timezone: pick(TIMEZONES),
+    hardwareConcurrency: pick(CPU_CORES),
+    deviceMemory: pick(MEMORY),
+    // 同型号硬件和浏览器的Canvas、音频指纹相同
+    canvasFingerprint: random() < 0.3 ? pick(['canvas-a', 'canvas-b', 'canvas-c']) + pick(WEBGL_RENDERERS) : hash('canvas-'),
+    webglVendor: pick(WEBGL_VENDORS),
+    webglRenderer: pick(WEBGL_RENDERERS),
+    audioFingerprint: random() < 0.5 ? pick(['124.04', '124.08', '35.73']) : hash('audio-'),
+    fonts: FONTS.filter(() => random() < 0.7),
+    fingerprintjs: { visitorId: hash('visitor-') }
+  };
+}
+
+// 模拟同一台设备重复注册：清除浏览器数据、更换浏览器等会改变部分特征
+function mutate(fingerprintData) {
+  const copy = JSON.parse(JSON.stringify(fingerprintData));
+  const fields = ['userAgent', 'canvasFingerprint', 'audioFingerprint', 'webglRenderer', 'fonts', 'fingerprintjs'];
+  const count = 1 + Math.floor(random() * fields.length);
+  for (let i = 0; i < count; i++) {
+    const field = pick(fields);
+    copy[field] = createFingerprint()[field];
+  }
+  return copy;
+}
+
+// 读取全部记录逐条比对，与引入索引前的检测方式相同
+async function scan(manager, fingerprintData) {
+  const records = await manager.fingerprintDB.find({}, { sort: { createdAt: 1 } });
+  let mostSimilar = null;
+  let highestScore = 0;
+  records.forEach(record => {
+    const analysis = manager.analyzeFingerprintSimilarity(fingerprintData, record.fingerprintData);
+    if ((analysis.isSuspicious || analysis.isHighlySuspicious) && analysis.similarityScore > highestScore) {
+      highestScore = analysis.similarityScore;
+      mostSimilar = { record, analysis };
+    }
+  });
+  return mostSimilar;
+}
+
+async function main() {
+  const manager = new FingerprintManager(loadPolicy(), { inMemory: true });
+  await manager.indexReady;
+
+  console.log(`生成${RECORD_COUNT}条设备记录...`);
+  const records = [];
+  for (let i = 0; i < RECORD_COUNT; i++) {
+    const fingerprintData = createFingerprint();
+    records.push({
+      username: `user${i}`,
+      fingerprintHash: manager.generateFingerprintHash(fingerprintData),
+      fingerprintData,
+      createdAt: i
+    });
+  }
+  const docs = await manager.fingerprintDB.insert(records);
+  let start = Date.now();
+  await manager.buildIndex();
+  console.log(`建立索引耗时${Date.now() - start}ms，分桶方案：${manager.index.keys ? manager.index.keys.length + '个分桶' : '全量比对'}`);
+
+  // 一半查询来自已有设备的变化，一半是全新设备
+  const queries = [];
+  for (let i = 0; i < QUERY_COUNT; i++) {
+    queries.push(i % 2 === 0 ? mutate(pick(docs).fingerprintData) : createFingerprint());
+  }
+
+  let scanTime = 0;
+  let indexTime = 0;
+  let candidateCount = 0;
+  let detected = 0;
+  let mismatches = 0;
+  for (const fingerprintData of queries) {
+    start = process.hrtime.bigint();
+    const expected = await scan(manager, fingerprintData);
+    scanTime += Number(process.hrtime.bigint() - start) / 1e6;
+
+    start = process.hrtime.bigint();
+    const actual = await manager.checkSimilarDevices(fingerprintData);
+    indexTime += Number(process.hrtime.bigint() - start) / 1e6;
+
+    const ids = manager.index.candidates(fingerprintData);
+    candidateCount += ids ? ids.length : docs.length;
+    if (expected) {
+      detected++;
+    }
+    const same = expected && actual
+      ? expected.record._id === actual.record._id && expected.analysis.similarityScore === actual.analysis.similarityScore
+      : expected === actual;
+    if (!same) {
+      mismatches++;
+      console.error('结果不一致:', JSON.stringify(fingerprintData));
+    }
+  }
+
+  console.log(`查询${QUERY_COUNT}次，检出相似设备${detected}次`);
+  console.log(`逐条比对：平均${(scanTime / QUERY_COUNT).toFixed(2)}ms/次`);
+  console.log(`索引检索：平均${(indexTime / QUERY_COUNT).toFixed(2)}ms/次，平均候选记录${Math.round(candidateCount / QUERY_COUNT)}条`);
+  if (mismatches > 0) {
+    console.error(`${mismatches}次查询结果不一致`);
+    process.exit(1);
+  }
+  console.log('两种方式结果一致');
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -1,6 +1,4 @@
-const Datastore = require('nedb');
-const db={
-  user:new Datastore({filename:"./db/users.db",autoload:true}),
-  message:new Datastore({filename:"./db/messages.db",autoload:true})
-}
+const { createStorage, openCollections } = require('./storage');
+// 存储类型通过环境变量DB_DRIVER配置，见storage/index.js
+const db=openCollections(createStorage());
 module.exports=db;
@@ -0,0 +1,174 @@
+// 单独建立分桶的高权重特征：命中其中任何一项的记录都会进入候选集
+const BUCKET_FEATURES = ['fingerprintjs.visitorId', 'canvasFingerprint', 'audioFingerprint', 'webglRenderer'];
+// 不能按值精确分桶的特征（字体列表按重合比例比对），计算上界时视为总是匹配
+const FUZZY_FEATURES = ['fonts'];
+
+/**
+ * 获取嵌套属性值
+ * @param {Object} obj - 对象
+ * @param {string} path - 属性路径，如 fingerprintjs.visitorId
+ * @returns {*}
+ */
+function getNestedValue(obj, path) {
+  return path.split('.').reduce((current, key) => current && current[key], obj);
+}
+
+/**
+ * 按组合大小枚举特征组合
+ * @param {Array<string>} features - 特征列表
+ * @param {number} size - 组合大小
+ * @returns {Array<Array<string>>}
+ */
+function combinations(features, size) {
+  if (size === 0) {
+    return [[]];
+  }
+  const result = [];
+  features.forEach((feature, i) => {
+    combinations(features.slice(i + 1), size - 1).forEach(rest => {
+      result.push([feature, ...rest]);
+    });
+  });
+  return result;
+}
+
+/**
+ * 设备指纹相似度检索索引
+ * 把设备记录按高权重特征和低权重特征的组合分桶，检索时只对共享某个分桶的记录计算相似度。
+ * 分桶方案根据策略的权重和阈值生成，保证相似度达到阈值的记录一定出现在候选集中，
+ * 因此检索结果与逐条比对完全一致；无法保证时退化为返回全部记录
+ */
+class FingerprintIndex {
+  /**
+   * @param {Object} policy - 防滥用策略，使用其中的特征权重
+   * @param {number} minScore - 需要检出的最低相似度
+   */
+  constructor(policy, minScore) {
+    this.keys = this.buildKeys(policy.weights, minScore);
+    // 分桶：桶键 -> 记录ID集合
+    this.buckets = new Map();
+    // 记录ID -> 该记录所在的桶键，用于删除和更新
+    this.entries = new Map();
+  }
+
+  /**
+   * 生成分桶方案
+   * 除单独分桶的特征外，其余特征按k个一组组合分桶。与所有分桶都不相同的记录，
+   * 最多只能匹配k-1个组合特征和全部模糊特征，k取使该上界仍低于阈值的最大值
+   * @param {Object} weights - 特征权重
+   * @param {number} minScore - 需要检出的最低相似度
+   * @returns {Array<Array<string>>|null} - 每个分桶包含的特征，null表示无法缩小候选范围
+   */
+  buildKeys(weights, minScore) {
+    const features = Object.keys(weights).filter(path => weights[path] > 0);
+    const totalWeight = features.reduce((sum, path) => sum + weights[path], 0);
+    if (totalWeight === 0) {
+      return null;
+    }
+    const singles = features.filter(path => BUCKET_FEATURES.includes(path));
+    const fuzzyWeight = features
+      .filter(path => FUZZY_FEATURES.includes(path))
+      .reduce((sum, path) => sum + weights[path], 0);
+    const rest = features
+      .filter(path => !BUCKET_FEATURES.includes(path) && !FUZZY_FEATURES.includes(path))
+      .sort((a, b) => weights[b] - weights[a]);
+    // 与analyzeFingerprintSimilarity相同的计算方式，避免浮点误差导致漏检
+    const belowThreshold = (weight) => weight / totalWeight < minScore;
+
+    let size = 0;
+    let topWeight = 0;
+    for (let k = 1; k <= rest.length + 1; k++) {
+      if (!belowThreshold(topWeight + fuzzyWeight)) {
+        break;
+      }
+      size = k;
+      topWeight += k <= rest.length ? weights[rest[k - 1]] : 0;
+    }
+    if (size === 0) {
+      return null;
+    }
+    const keys = singles.map(path => [path]);
+    // size超过组合特征数量时，只命中组合特征的记录不可能达到阈值，不需要组合分桶
+    if (size <= rest.length) {
+      keys.push(...combinations(rest, size));
+    }
+    return keys;
+  }
+
+  /**
+   * 计算设备指纹所在的桶键；与相似度比对一致，空值不参与匹配
+   * @param {Object} fingerprintData - 设备指纹数据
+   * @returns {Array<string>}
+   */
+  bucketKeys(fingerprintData) {
+    const result = [];
+    (this.keys || []).forEach((key, i) => {
+      const values = [];
+      for (const path of key) {
+        const value = getNestedValue(fingerprintData, path);
+        if (!value) {
+          return;
+        }
+        values.push(JSON.stringify(value));
+      }
+      result.push(`${i}:${values.join('|')}`);
+    });
+    return result;
+  }
+
+  /**
+   * 添加或更新一条记录
+   * @param {Object} record - 设备记录
+   */
+  add(record) {
+    this.remove(record._id);
+    const keys = this.bucketKeys(record.fingerprintData || {});
+    keys.forEach(key => {
+      if (!this.buckets.has(key)) {
+        this.buckets.set(key, new Set());
+      }
+      this.buckets.get(key).add(record._id);
+    });
+    this.entries.set(record._id, keys);
+  }
+
+  /**
+   * 删除一条记录
+   * @param {string} id - 记录ID
+   */
+  remove(id) {
+    const keys = this.entries.get(id);
+    if (!keys) {
+      return;
+    }
+    keys.forEach(key => {
+      const bucket = this.buckets.get(key);
+      bucket.delete(id);
+      if (bucket.size === 0) {
+        this.buckets.delete(key);
+      }
+    });
+    this.entries.delete(id);
+  }
+
+  /**
+   * 查找可能相似的记录
+   * @param {Object} fingerprintData - 设备指纹数据
+   * @returns {Array<string>|null} - 候选记录ID，null表示需要比对全部记录
+   */
+  candidates(fingerprintData) {
+    if (!this.keys) {
+      return null;
+    }
+    const ids = new Set();
+    this.bucketKeys(fingerprintData || {}).forEach(key => {
+      const bucket = this.buckets.get(key);
+      if (bucket) {
+        bucket.forEach(id => ids.add(id));
+      }
+    });
+    return Array.from(ids);
+  }
+}
+
+module.exports = FingerprintIndex;
@@ -1,29 +1,132 @@
 const crypto = require('crypto');
+const { loadPolicy, findAllowlistEntry } = require('./policy');
+const FingerprintIndex = require('./fingerprint-index');
+const { createStorage, openCollections } = require('./storage');
+
+// 被拦截注册申请的审核状态：待审核、已批准、已拒绝、已使用（批准后完成注册）
+const REGISTRATION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  USED: 'used'
+};
+
+// 新设备验证请求的状态
+const VERIFICATION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+// 每台设备保留的IP历史条数
+const IP_HISTORY_SIZE = 10;
+// 相似度检测的设备特征，权重由防滥用策略配置
+const KEY_FEATURES = {
+  userAgent: '浏览器标识',
+  screenResolution: '屏幕分辨率',
+  timezone: '时区',
+  hardwareConcurrency: 'CPU核心数',
+  deviceMemory: '设备内存',
+  canvasFingerprint: 'Canvas指纹',
+  webglVendor: 'WebGL厂商',
+  webglRenderer: 'WebGL渲染器',
+  audioFingerprint: '音频指纹',
+  fonts: '字体列表',
+  'fingerprintjs.visitorId': 'FingerprintJS ID'
+};
+
+// 指纹数据的最大嵌套层数和数组长度，超出部分丢弃
+const FINGERPRINT_MAX_DEPTH = 5;
+const FINGERPRINT_MAX_ITEMS = 500;
+
+/**
+ * 清理客户端发送的指纹数据，只保留普通的字符串、数字、布尔值、数组和对象；
+ * 丢弃以$开头或包含.的键（数据库会把它们当作操作符或路径，保存时报错）
+ * @param {*} value - 指纹数据或其中的字段
+ * @param {number} depth - 当前嵌套层数
+ * @returns {*} 清理后的值，不支持的值返回undefined
+ */
+function sanitizeFingerprintValue(value, depth = 0) {
+  if (value === null || ['string', 'boolean'].includes(typeof value)) {
+    return value;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : undefined;
+  }
+  if (typeof value !== 'object' || depth >= FINGERPRINT_MAX_DEPTH) {
+    return undefined;
+  }
+  if (Array.isArray(value)) {
+    return value.slice(0, FINGERPRINT_MAX_ITEMS)
+      .map(item => sanitizeFingerprintValue(item, depth + 1))
+      .filter(item => item !== undefined);
+  }
+  const result = {};
+  Object.keys(value).slice(0, FINGERPRINT_MAX_ITEMS).forEach(key => {
+    if (key.startsWith('$') || key.includes('.') || key === '__proto__') {
+      return;
+    }
+    const item = sanitizeFingerprintValue(value[key], depth + 1);
+    if (item !== undefined) {
+      result[key] = item;
+    }
+  });
+  return result;
+}
 
 /**
  * 设备指纹管理器
- * 用于防止用户重复注册，实现一机一号
+ * 用于防止用户重复注册，实现一机一号；每个账户可以有多台已信任的设备
  */
 class FingerprintManager {
-  constructor() {
+  /**
+   * @param {Object} policy - 防滥用策略，默认从策略文件和环境变量加载
+   * @param {Object} options - 其他选项
+   * @param {boolean} options.inMemory - 使用内存数据库（用于性能测试）
+   */
+  constructor(policy = loadPolicy(), options = {}) {
+    this.policy = policy;
     // 初始化设备指纹数据库
-    this.initFingerprintDB();
+    this.initFingerprintDB(!!options.inMemory);
+    // 相似设备检索索引，需要检出达到可疑或拒绝阈值的设备
+    const { suspicious, reject } = policy.thresholds;
+    this.index = new FingerprintIndex(policy, Math.min(suspicious, reject));
+    this.indexReady = this.buildIndex();
   }
 
   /**
-   * 初始化设备指纹数据库
+   * 初始化设备指纹数据库，使用db.js中配置的存储
+   * @param {boolean} inMemory - 是否使用内存数据库
    */
-  initFingerprintDB() {
-    const Datastore = require('nedb');
-    this.fingerprintDB = new Datastore({
-      filename: './db/fingerprints.db',
-      autoload: true
-    });
-    
-    // 创建索引以提高查询性能
-    this.fingerprintDB.ensureIndex({ fieldName: 'fingerprintHash' });
-    this.fingerprintDB.ensureIndex({ fieldName: 'username' });
-    this.fingerprintDB.ensureIndex({ fieldName: 'createdAt' });
+  initFingerprintDB(inMemory = false) {
+    const db = inMemory
+      ? openCollections(createStorage({ driver: 'nedb', inMemory: true }))
+      : require('./db');
+    this.fingerprintDB = db.fingerprint;
+    // 被设备检测拦截的注册申请，等待管理员审核
+    this.registrationDB = db.registration;
+    // 新设备登录的待验证请求，由用户在已信任的设备上批准
+    this.verificationDB = db.verification;
+  }
+
+  /**
+   * 从数据库加载全部设备记录，建立相似设备检索索引
+   * @returns {Promise<void>}
+   */
+  async buildIndex() {
+    const docs = await this.fingerprintDB.find({}, { projection: { fingerprintData: 1 } });
+    docs.forEach(doc => this.index.add(doc));
+  }
+
+  /**
+   * 校验并清理客户端发送的指纹数据，保存到数据库之前必须经过清理
+   * @param {*} fingerprintData - 客户端发送的指纹数据
+   * @returns {Object|null} 清理后的指纹数据，不是对象时返回null
+   */
+  normalizeFingerprintData(fingerprintData) {
+    if (!fingerprintData || typeof fingerprintData !== 'object' || Array.isArray(fingerprintData)) {
+      return null;
+    }
+    return sanitizeFingerprintValue(fingerprintData);
   }
 
   /**
@@ -90,15 +193,7 @@ class FingerprintManager {
    * @returns {Promise<Object|null>} - 如果存在返回记录，否则返回null
    */
   async checkFingerprintExists(fingerprintHash) {
-    return new Promise((resolve, reject) => {
-      this.fingerprintDB.findOne({ fingerprintHash }, (err, doc) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(doc);
-        }
-      });
-    });
+    return this.fingerprintDB.findOne({ fingerprintHash });
   }
 
   /**
@@ -110,24 +205,22 @@ class FingerprintManager {
    * @returns {Promise<Object>} - 保存的记录
    */
   async saveFingerprintRecord(username, fingerprintHash, fingerprintData, ip) {
+    const now = new Date().getTime();
     const record = {
       username,
       fingerprintHash,
       fingerprintData,
+      label: this.describeDevice(fingerprintData),
       ip,
-      createdAt: new Date().getTime(),
-      lastUsed: new Date().getTime()
+      lastIP: ip,
+      ipHistory: ip ? [{ ip, time: now }] : [],
+      createdAt: now,
+      lastUsed: now
     };
 
-    return new Promise((resolve, reject) => {
-      this.fingerprintDB.insert(record, (err, newDoc) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(newDoc);
-        }
-      });
-    });
+    const newDoc = await this.fingerprintDB.insert(record);
+    this.index.add(newDoc);
+    return newDoc;
   }
 
   /**
@@ -136,20 +229,11 @@ class FingerprintManager {
    * @returns {Promise<number>} - 更新的记录数
    */
   async updateLastUsed(fingerprintHash) {
-    return new Promise((resolve, reject) => {
-      this.fingerprintDB.update(
-        { fingerprintHash },
-        { $set: { lastUsed: new Date().getTime() } },
-        {},
-        (err, numReplaced) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(numReplaced);
-          }
-        }
-      );
-    });
+    const { numAffected } = await this.fingerprintDB.update(
+      { fingerprintHash },
+      { $set: { lastUsed: new Date().getTime() } }
+    );
+    return numAffected;
   }
 
   /**
@@ -162,20 +246,11 @@ class FingerprintManager {
     const similarities = [];
     let matchCount = 0;
     
-    // 定义关键特征及其权重
-    const keyFeatures = [
-      { path: 'userAgent', weight: 2, name: '浏览器标识' },
-      { path: 'screenResolution', weight: 3, name: '屏幕分辨率' },
-      { path: 'timezone', weight: 2, name: '时区' },
-      { path: 'hardwareConcurrency', weight: 3, name: 'CPU核心数' },
-      { path: 'deviceMemory', weight: 3, name: '设备内存' },
-      { path: 'canvasFingerprint', weight: 4, name: 'Canvas指纹' },
-      { path: 'webglVendor', weight: 3, name: 'WebGL厂商' },
-      { path: 'webglRenderer', weight: 3, name: 'WebGL渲染器' },
-      { path: 'audioFingerprint', weight: 4, name: '音频指纹' },
-      { path: 'fonts', weight: 2, name: '字体列表' },
-      { path: 'fingerprintjs.visitorId', weight: 5, name: 'FingerprintJS ID' }
-    ];
+    // 关键特征及其权重，权重为0的特征不参与比对
+    const { weights, thresholds } = this.policy;
+    const keyFeatures = Object.keys(KEY_FEATURES)
+      .filter(path => weights[path] > 0)
+      .map(path => ({ path, weight: weights[path], name: KEY_FEATURES[path] }));
     
     // 获取嵌套属性值
     const getNestedValue = (obj, path) => {
@@ -222,73 +297,76 @@ class FingerprintManager {
     });
     
     const totalWeight = keyFeatures.reduce((sum, f) => sum + f.weight, 0);
-    const similarityScore = matchCount / totalWeight;
+    const similarityScore = totalWeight > 0 ? matchCount / totalWeight : 0;
     
     return {
        similarityScore,
        matchCount,
        totalWeight,
        similarities,
-       isSuspicious: similarityScore >= 0.4, // 40%以上相似度认为可疑
-       isHighlySuspicious: similarityScore >= 0.5 // 50%以上相似度认为高度可疑
+       isSuspicious: similarityScore >= thresholds.suspicious, // 达到可疑阈值记录警告
+       isHighlySuspicious: similarityScore >= thresholds.reject // 达到拒绝阈值认为高度可疑
      };
   }
 
   /**
    * 检查是否存在相似设备（多维度检测）
+   * 先通过索引缩小候选范围，再逐条计算相似度；相似度相同时取最早的记录
    * @param {Object} fingerprintData - 当前设备指纹数据
    * @param {string} excludeUsername - 排除的用户名（用于登录验证）
    * @returns {Promise<Object|null>} - 相似设备记录和分析结果
    */
   async checkSimilarDevices(fingerprintData, excludeUsername = null) {
-    return new Promise((resolve, reject) => {
-      const query = excludeUsername ? { username: { $ne: excludeUsername } } : {};
-      
-      this.fingerprintDB.find(query, (err, docs) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        
-        let mostSimilar = null;
-        let highestScore = 0;
-        
-        docs.forEach(record => {
-          const analysis = this.analyzeFingerprintSimilarity(fingerprintData, record.fingerprintData);
-          
-          if (analysis.isSuspicious && analysis.similarityScore > highestScore) {
-            highestScore = analysis.similarityScore;
-            mostSimilar = {
-              record,
-              analysis
-            };
-          }
-        });
-        
-        resolve(mostSimilar);
-      });
+    await this.indexReady;
+    const query = excludeUsername ? { username: { $ne: excludeUsername } } : {};
+    const ids = this.index.candidates(fingerprintData);
+    if (ids && ids.length === 0) {
+      return null;
+    }
+    // 候选记录超过一半时，按ID逐条读取比直接读取全部记录更慢
+    if (ids && ids.length <= this.index.entries.size / 2) {
+      query._id = { $in: ids };
+    }
+    const docs = await this.fingerprintDB.find(query, { sort: { createdAt: 1 } });
+
+    let mostSimilar = null;
+    let highestScore = 0;
+
+    docs.forEach(record => {
+      const analysis = this.analyzeFingerprintSimilarity(fingerprintData, record.fingerprintData);
+
+      if ((analysis.isSuspicious || analysis.isHighlySuspicious) && analysis.similarityScore > highestScore) {
+        highestScore = analysis.similarityScore;
+        mostSimilar = {
+          record,
+          analysis
+        };
+      }
     });
+
+    return mostSimilar;
   }
 
   /**
-   * 检查IP是否已被使用
+   * 获取从该IP注册的其他账户，每个账户只保留最早的设备记录
    * @param {string} ip - IP地址
-   * @returns {Promise<Object|null>} - 已使用该IP的用户记录
+   * @param {string} excludeUsername - 排除的用户名
+   * @returns {Promise<Array>} - 设备记录，按注册时间排序
    */
-  async checkIPExists(ip) {
-    return new Promise((resolve, reject) => {
-      this.fingerprintDB.findOne({ ip }, (err, doc) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(doc);
-        }
-      });
+  async getIPAccounts(ip, excludeUsername = null) {
+    const docs = await this.fingerprintDB.find({ ip }, { sort: { createdAt: 1 } });
+    const accounts = new Map();
+    docs.forEach(doc => {
+      if (doc.username !== excludeUsername && !accounts.has(doc.username)) {
+        accounts.set(doc.username, doc);
+      }
     });
+    return Array.from(accounts.values());
   }
 
   /**
-   * 验证用户注册时的设备指纹（增强版多维度检测 + IP限制）
+   * 验证用户注册时的设备指纹（多维度检测 + IP限制），各项规则由防滥用策略控制
+   * 返回结果中的trace记录了每条规则的判定过程，用于审计
    * @param {string} username - 用户名
    * @param {Object} fingerprintData - 设备指纹数据
    * @param {string} ip - 用户IP地址
@@ -296,63 +374,119 @@ class FingerprintManager {
    * @returns {Promise<Object>} - 验证结果
    */
   async validateRegistration(username, fingerprintData, ip, isAdmin = false) {
+    const { rules, thresholds, accountsPerIP } = this.policy;
+    // 判定过程：{ rule, result, detail }，result为 pass/block/warn/skip/disabled/allow
+    const trace = [];
+    const step = (rule, result, detail = null) => trace.push({ rule, result, detail });
     try {
       // 检查是否为隐私模式
-      if (fingerprintData && fingerprintData.isPrivateMode) {
+      if (!rules.privateMode) {
+        step('privateMode', 'disabled');
+      } else if (fingerprintData && fingerprintData.isPrivateMode) {
+        step('privateMode', 'block');
         return {
           allowed: false,
           reason: 'private_mode_detected',
-          message: '检测到隐私浏览模式，为了账户安全，请使用正常浏览模式进行注册'
+          message: '检测到隐私浏览模式，为了账户安全，请使用正常浏览模式进行注册',
+          trace
         };
+      } else {
+        step('privateMode', 'pass');
       }
       
       // 管理员不受设备限制
       if (isAdmin) {
+        step('admin', 'allow');
         return {
           allowed: true,
           reason: 'admin_bypass',
-          message: '管理员账户不受设备限制'
+          message: '管理员账户不受设备限制',
+          trace
         };
       }
 
-      // 检查IP是否已被使用（同IP限制）
-      if (ip) {
-        const existingIPRecord = await this.checkIPExists(ip);
-        if (existingIPRecord && existingIPRecord.username !== username) {
+      // 管理员已批准的注册申请（同一用户名和设备）不再做设备检测
+      const approval = await this.findApprovedRegistration(username, fingerprintData);
+      if (approval) {
+        step('adminApproval', 'allow', { registrationId: approval._id });
+        const fingerprintHash = this.generateFingerprintHash(fingerprintData);
+        const record = await this.saveFingerprintRecord(username, fingerprintHash, fingerprintData, ip);
+        await this.updateRegistration(approval._id, { status: REGISTRATION_STATUS.USED });
+        return {
+          allowed: true,
+          reason: 'admin_approved',
+          message: '注册申请已由管理员批准',
+          fingerprintHash,
+          deviceId: record._id,
+          trace
+        };
+      }
+
+      // 检查同一IP已注册的账户数，白名单中的IP不受限制
+      const allowlistEntry = findAllowlistEntry(this.policy, ip);
+      if (!rules.ipLimit || accountsPerIP === 0) {
+        step('ipLimit', 'disabled');
+      } else if (!ip) {
+        step('ipLimit', 'skip', { reason: 'no_ip' });
+      } else if (allowlistEntry) {
+        step('ipLimit', 'skip', { reason: 'allowlist', entry: allowlistEntry });
+      } else {
+        const ipAccounts = await this.getIPAccounts(ip, username);
+        if (ipAccounts.length >= accountsPerIP) {
+          step('ipLimit', 'block', { accounts: ipAccounts.length, limit: accountsPerIP });
+          const existingIPRecord = ipAccounts[0];
           return {
             allowed: false,
             reason: 'ip_already_used',
-            message: `该IP地址已被用户"${existingIPRecord.username}"注册过账户，一个IP只能注册一个账户`,
+            message: accountsPerIP === 1
+              ? `该IP地址已被用户"${existingIPRecord.username}"注册过账户，一个IP只能注册一个账户`
+              : `该IP地址已注册${ipAccounts.length}个账户，一个IP最多只能注册${accountsPerIP}个账户`,
             existingUsername: existingIPRecord.username,
             registrationDate: new Date(existingIPRecord.createdAt).toLocaleString(),
             matchType: 'ip',
-            userIP: ip
+            userIP: ip,
+            trace
           };
         }
+        step('ipLimit', 'pass', { accounts: ipAccounts.length, limit: accountsPerIP });
       }
 
       // 生成设备指纹哈希
       const fingerprintHash = this.generateFingerprintHash(fingerprintData);
       
       // 首先检查完全相同的设备指纹
-      const exactMatch = await this.checkFingerprintExists(fingerprintHash);
-      
-      if (exactMatch) {
-        return {
-          allowed: false,
-          reason: 'device_already_used',
-          message: '该设备已经注册过账户，一台设备只能注册一个账户',
-          existingUsername: exactMatch.username,
-          registrationDate: new Date(exactMatch.createdAt).toLocaleString(),
-          matchType: 'exact'
-        };
+      if (!rules.exactDevice) {
+        step('exactDevice', 'disabled');
+      } else {
+        const exactMatch = await this.checkFingerprintExists(fingerprintHash);
+        if (exactMatch) {
+          step('exactDevice', 'block', { existingUsername: exactMatch.username });
+          return {
+            allowed: false,
+            reason: 'device_already_used',
+            message: '该设备已经注册过账户，一台设备只能注册一个账户',
+            existingUsername: exactMatch.username,
+            registrationDate: new Date(exactMatch.createdAt).toLocaleString(),
+            matchType: 'exact',
+            trace
+          };
+        }
+        step('exactDevice', 'pass');
       }
       
       // 进行多维度相似性检测
-      const similarDevice = await this.checkSimilarDevices(fingerprintData);
+      const similarDevice = rules.similarDevice ? await this.checkSimilarDevices(fingerprintData) : null;
+      const similarDetail = similarDevice ? {
+        existingUsername: similarDevice.record.username,
+        similarityScore: similarDevice.analysis.similarityScore,
+        thresholds: { suspicious: thresholds.suspicious, reject: thresholds.reject }
+      } : null;
       
-      if (similarDevice && similarDevice.analysis.isHighlySuspicious) {
+      if (!rules.similarDevice) {
+        step('similarDevice', 'disabled');
+      } else if (similarDevice && similarDevice.analysis.isHighlySuspicious) {
         // 高度可疑的相似设备，拒绝注册
+        step('similarDevice', 'block', similarDetail);
         const matchedFeatures = similarDevice.analysis.similarities
           .filter(s => s.matched)
           .map(s => s.feature)
@@ -366,32 +500,40 @@ class FingerprintManager {
           registrationDate: new Date(similarDevice.record.createdAt).toLocaleString(),
           matchType: 'similar',
           similarityScore: similarDevice.analysis.similarityScore,
-          matchedFeatures: matchedFeatures
+          matchedFeatures: matchedFeatures,
+          trace
         };
-      } else if (similarDevice && similarDevice.analysis.isSuspicious) {
+      } else if (similarDevice) {
         // 中等可疑，记录警告但允许注册
+        step('similarDevice', 'warn', similarDetail);
         console.warn(`注册警告：用户"${username}"的设备与用户"${similarDevice.record.username}"相似度为${Math.round(similarDevice.analysis.similarityScore * 100)}%`);
+      } else {
+        step('similarDevice', 'pass');
       }
 
       // 设备检测通过，允许注册并保存指纹记录
-      await this.saveFingerprintRecord(username, fingerprintHash, fingerprintData, ip);
+      const record = await this.saveFingerprintRecord(username, fingerprintHash, fingerprintData, ip);
       
       return {
         allowed: true,
         reason: 'new_device',
         message: '设备验证通过，允许注册',
         fingerprintHash,
+        deviceId: record._id,
         similarityWarning: similarDevice ? {
           similarUser: similarDevice.record.username,
           similarityScore: similarDevice.analysis.similarityScore
-        } : null
+        } : null,
+        trace
       };
     } catch (error) {
       console.error('设备指纹验证失败:', error);
+      step('error', 'block', { message: error.message });
       return {
         allowed: false,
         reason: 'validation_error',
-        message: '设备验证失败，请稍后重试'
+        message: '设备验证失败，请稍后重试',
+        trace
       };
     }
   }
@@ -406,8 +548,8 @@ class FingerprintManager {
    */
   async validateLogin(username, fingerprintData, ip, isAdmin = false) {
     try {
-      // 检查是否为隐私模式
-      if (fingerprintData && fingerprintData.isPrivateMode) {
+      // 检查是否为隐私模式，与注册使用同一条策略规则
+      if (this.policy.rules.privateMode && fingerprintData && fingerprintData.isPrivateMode) {
         return {
           allowed: false,
           reason: 'private_mode_detected',
@@ -427,10 +569,10 @@ class FingerprintManager {
       // 生成设备指纹哈希
       const fingerprintHash = this.generateFingerprintHash(fingerprintData);
       
-      // 检查该设备是否属于该用户
-      const userRecord = await this.getUserFingerprintRecord(username);
+      // 获取该用户所有已信任的设备
+      const devices = await this.getUserDevices(username);
       
-      if (!userRecord) {
+      if (devices.length === 0) {
         // 用户没有设备记录，需要进一步验证
         // 检查是否有其他用户使用了相同的设备指纹
         const existingRecord = await this.checkFingerprintExists(fingerprintHash);
@@ -445,88 +587,88 @@ class FingerprintManager {
         }
         
         // 设备未被使用，可能是老用户，允许登录但记录指纹
-        await this.saveFingerprintRecord(username, fingerprintHash, fingerprintData, ip || '');
+        const record = await this.saveFingerprintRecord(username, fingerprintHash, fingerprintData, ip || '');
         return {
           allowed: true,
           reason: 'legacy_user',
-          message: '用户设备信息已记录'
+          message: '用户设备信息已记录',
+          deviceId: record._id
         };
       }
 
-      if (userRecord.fingerprintHash === fingerprintHash) {
+      const matchedDevice = devices.find(device => device.fingerprintHash === fingerprintHash);
+      if (matchedDevice) {
         // 设备完全匹配，更新最后使用时间
-        await this.updateLastUsed(username, ip);
+        await this.touchDevice(matchedDevice, ip);
         return {
           allowed: true,
           reason: 'device_match',
           message: '设备验证通过',
           fingerprintHash,
-          matchType: 'exact'
+          matchType: 'exact',
+          deviceId: matchedDevice._id
         };
-      } else {
-        // 设备指纹不完全匹配，进行相似度分析
-        const similarity = this.analyzeFingerprintSimilarity(fingerprintData, userRecord.fingerprintData);
-        
-        if (similarity.similarityScore >= 0.7) {
-           // 70%以上相似，可能是同一设备的指纹变化（浏览器更新、插件变化等）
-           console.log(`登录警告：用户"${username}"使用了相似设备登录，相似度：${Math.round(similarity.similarityScore * 100)}%`);
-           
-           // 更新设备指纹记录为新的指纹
-           await this.updateFingerprintRecord(username, fingerprintHash, fingerprintData, ip);
-           
-           const matchedFeatures = similarity.similarities
-             .filter(s => s.matched)
-             .map(s => s.feature)
-             .join('、');
-           
-           return {
-              allowed: true,
-              reason: 'similar_device_accepted',
-              message: `设备特征相似，允许登录并更新设备记录（相似度：${Math.round(similarity.similarityScore * 100)}%）`,
-              fingerprintHash,
-              matchType: 'similar',
-              similarityScore: similarity.similarityScore,
-              matchedFeatures: matchedFeatures,
-              deviceUpdated: true
-            };
-        } else if (similarity.isSuspicious) {
-          // 中等相似，需要额外验证或记录
-          const matchedFeatures = similarity.similarities
-            .filter(s => s.matched)
-            .map(s => s.feature)
-            .join('、');
-            
-          return {
-            allowed: false,
-            reason: 'device_partially_similar',
-            message: `设备验证失败：当前设备与注册设备部分相似但差异较大（相似度：${Math.round(similarity.similarityScore * 100)}%），请使用注册时的设备登录`,
-            registeredDevice: {
-              registrationDate: new Date(userRecord.createdAt).toLocaleString(),
-              lastUsed: userRecord.lastUsed ? new Date(userRecord.lastUsed).toLocaleString() : '从未使用'
-            },
-            similarityScore: similarity.similarityScore,
-            matchedFeatures: matchedFeatures
-          };
-        } else {
-          // 设备差异太大，拒绝登录
-          return {
-            allowed: false,
-            reason: 'device_mismatch',
-            message: '检测到异常登录设备，为了账户安全，请使用注册时的设备登录',
-            registeredDevice: {
-              registrationDate: new Date(userRecord.createdAt).toLocaleString(),
-              lastUsed: userRecord.lastUsed ? new Date(userRecord.lastUsed).toLocaleString() : '从未使用'
-            },
-            similarityScore: similarity.similarityScore
-          };
+      }
+
+      // 设备指纹不完全匹配，与最相似的已信任设备比较
+      let closest = null;
+      devices.forEach(device => {
+        const analysis = this.analyzeFingerprintSimilarity(fingerprintData, device.fingerprintData);
+        if (!closest || analysis.similarityScore > closest.analysis.similarityScore) {
+          closest = { device, analysis };
         }
+      });
+      const similarity = closest.analysis;
+        
+      if (similarity.similarityScore >= this.policy.thresholds.login) {
+        // 达到登录相似度阈值，可能是同一设备的指纹变化（浏览器更新、插件变化等）
+        console.log(`登录警告：用户"${username}"使用了相似设备登录，相似度：${Math.round(similarity.similarityScore * 100)}%`);
+        
+        // 更新设备指纹记录为新的指纹
+        await this.updateFingerprintRecord(closest.device._id, fingerprintHash, fingerprintData, ip);
+        await this.touchDevice(closest.device, ip);
+        
+        const matchedFeatures = similarity.similarities
+          .filter(s => s.matched)
+          .map(s => s.feature)
+          .join('、');
+        
+        return {
+          allowed: true,
+          reason: 'similar_device_accepted',
+          message: `设备特征相似，允许登录并更新设备记录（相似度：${Math.round(similarity.similarityScore * 100)}%）`,
+          fingerprintHash,
+          matchType: 'similar',
+          similarityScore: similarity.similarityScore,
+          matchedFeatures: matchedFeatures,
+          deviceUpdated: true,
+          deviceId: closest.device._id
+        };
       }
+
+      // 新设备：已属于其他用户时直接拒绝，否则需要在已信任的设备上批准
+      const existingRecord = await this.checkFingerprintExists(fingerprintHash);
+      if (existingRecord && existingRecord.username !== username) {
+        return {
+          allowed: false,
+          reason: 'device_used_by_other',
+          message: '该设备已被其他用户使用，无法登录'
+        };
+      }
+      const request = await this.requestDeviceVerification(username, fingerprintHash, fingerprintData, ip);
+      return {
+        allowed: false,
+        reason: 'device_verification_required',
+        message: '检测到新设备登录，请在已信任的设备上登录，并在“设置-我的设备”中批准该设备',
+        similarityScore: similarity.similarityScore,
+        request
+      };
     } catch (error) {
       console.error('登录设备验证失败:', error);
       return {
-        allowed: true, // 验证失败时允许登录，避免影响正常用户
+        allowed: false,
         reason: 'validation_error',
-        message: '设备验证失败，已允许登录'
+        message: '设备验证失败，请稍后重试'
       };
     }
   }
@@ -537,15 +679,143 @@ class FingerprintManager {
    * @returns {Promise<Object|null>} - 用户的设备记录
    */
   async getUserFingerprintRecord(username) {
-    return new Promise((resolve, reject) => {
-      this.fingerprintDB.findOne({ username }, (err, doc) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(doc);
-        }
-      });
-    });
+    const docs = await this.fingerprintDB.find({ username }, { sort: { lastUsed: -1 }, limit: 1 });
+    return docs[0] || null;
+  }
+
+  /**
+   * 获取用户所有已信任的设备
+   * @param {string} username - 用户名
+   * @returns {Promise<Array>} - 设备记录，按首次使用时间排序
+   */
+  async getUserDevices(username) {
+    return this.fingerprintDB.find({ username }, { sort: { createdAt: 1 } });
+  }
+
+  /**
+   * 根据ID获取设备记录
+   * @param {string} id - 设备记录ID
+   * @returns {Promise<Object|null>}
+   */
+  async getDevice(id) {
+    return this.fingerprintDB.findOne({ _id: id });
+  }
+
+  /**
+   * 更新设备的最后使用时间，IP变化时追加到IP历史
+   * @param {Object} device - 设备记录
+   * @param {string} ip - 本次登录的IP
+   * @returns {Promise<void>}
+   */
+  async touchDevice(device, ip) {
+    const update = { $set: { lastUsed: new Date().getTime() } };
+    if (ip && ip !== device.lastIP) {
+      update.$set.lastIP = ip;
+      update.$push = { ipHistory: { $each: [{ ip, time: new Date().getTime() }], $slice: -IP_HISTORY_SIZE } };
+    }
+    await this.fingerprintDB.update({ _id: device._id }, update);
+  }
+
+  /**
+   * 移除用户自己的设备
+   * @param {string} username - 用户名
+   * @param {string} id - 设备记录ID
+   * @returns {Promise<number>} - 删除的记录数
+   */
+  async removeDevice(username, id) {
+    const numRemoved = await this.fingerprintDB.remove({ _id: id, username });
+    if (numRemoved > 0) {
+      this.index.remove(id);
+    }
+    return numRemoved;
+  }
+
+  /**
+   * 根据userAgent生成设备名称，如“Windows · Chrome”
+   * @param {Object} fingerprintData - 设备指纹数据
+   * @returns {string}
+   */
+  describeDevice(fingerprintData) {
+    const ua = (fingerprintData && fingerprintData.userAgent) || '';
+    const systems = [
+      [/iphone/i, 'iPhone'],
+      [/ipad/i, 'iPad'],
+      [/android/i, 'Android'],
+      [/windows/i, 'Windows'],
+      [/mac os/i, 'Mac'],
+      [/linux/i, 'Linux']
+    ];
+    const browsers = [
+      [/micromessenger/i, '微信'],
+      [/edg\//i, 'Edge'],
+      [/firefox/i, 'Firefox'],
+      [/chrome|crios/i, 'Chrome'],
+      [/safari/i, 'Safari']
+    ];
+    const match = (list) => (list.find(([reg]) => reg.test(ua)) || [])[1];
+    return [match(systems), match(browsers)].filter(Boolean).join(' · ') || '未知设备';
+  }
+
+  /**
+   * 新设备登录时创建待验证请求，同一设备只保留一条待验证请求
+   * @param {string} username - 用户名
+   * @param {string} fingerprintHash - 设备指纹哈希
+   * @param {Object} fingerprintData - 设备指纹数据
+   * @param {string} ip - IP地址
+   * @returns {Promise<Object>} - 请求摘要
+   */
+  async requestDeviceVerification(username, fingerprintHash, fingerprintData, ip) {
+    const request = {
+      username,
+      fingerprintHash,
+      fingerprintData,
+      label: this.describeDevice(fingerprintData),
+      ip,
+      status: VERIFICATION_STATUS.PENDING,
+      createdAt: new Date().getTime()
+    };
+    const { affectedDocuments } = await this.verificationDB.update(
+      { username, fingerprintHash, status: VERIFICATION_STATUS.PENDING },
+      request,
+      { upsert: true, returnUpdatedDocs: true }
+    );
+    return this.toSummary(affectedDocuments);
+  }
+
+  /**
+   * 获取用户待验证的新设备
+   * @param {string} username - 用户名
+   * @returns {Promise<Array>}
+   */
+  async getDeviceRequests(username) {
+    return this.verificationDB.find({ username, status: VERIFICATION_STATUS.PENDING }, { sort: { createdAt: -1 } });
+  }
+
+  /**
+   * 在已信任的设备上批准或拒绝新设备，批准后新设备成为已信任设备
+   * @param {string} username - 用户名
+   * @param {string} id - 请求ID
+   * @param {boolean} approved - 是否批准
+   * @returns {Promise<void>}
+   */
+  async reviewDeviceRequest(username, id, approved) {
+    const request = await this.verificationDB.findOne({ _id: id, username, status: VERIFICATION_STATUS.PENDING });
+    if (!request) {
+      throw new Error('设备请求不存在或已处理');
+    }
+    if (approved) {
+      const existingRecord = await this.checkFingerprintExists(request.fingerprintHash);
+      if (existingRecord && existingRecord.username !== username) {
+        throw new Error('该设备已被其他用户使用');
+      }
+      if (!existingRecord) {
+        await this.saveFingerprintRecord(username, request.fingerprintHash, request.fingerprintData, request.ip);
+      }
+    }
+    await this.verificationDB.update(
+      { _id: id },
+      { $set: { status: approved ? VERIFICATION_STATUS.APPROVED : VERIFICATION_STATUS.REJECTED, reviewedAt: new Date().getTime() } }
+    );
   }
 
   /**
@@ -553,66 +823,176 @@ class FingerprintManager {
    * @returns {Promise<Array>} - 所有设备记录
    */
   async getAllFingerprintRecords() {
-    return new Promise((resolve, reject) => {
-      this.fingerprintDB.find({}).sort({ createdAt: -1 }).exec((err, docs) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(docs);
-        }
-      });
-    });
+    return this.fingerprintDB.find({}, { sort: { createdAt: -1 } });
   }
 
   /**
-   * 更新用户设备指纹记录（用于设备变化时）
-   * @param {string} username - 用户名
+   * 更新设备指纹记录（用于设备变化时）
+   * @param {string} recordId - 设备记录ID
    * @param {string} fingerprintHash - 新的指纹哈希
    * @param {Object} fingerprintData - 新的指纹数据
    * @param {string} ip - IP地址
    * @returns {Promise<void>}
    */
-  async updateFingerprintRecord(username, fingerprintHash, fingerprintData, ip) {
-    return new Promise((resolve, reject) => {
-      this.fingerprintDB.update(
-        { username },
-        { 
-          $set: { 
-            fingerprintHash,
-            fingerprintData,
-            lastUsed: new Date().getTime(),
-            lastIP: ip,
-            updatedAt: new Date().getTime()
-          }
-        },
-        {},
-        (err) => {
-          if (err) {
-            reject(err);
-          } else {
-            console.log(`已更新用户"${username}"的设备指纹记录`);
-            resolve();
-          }
+  async updateFingerprintRecord(recordId, fingerprintHash, fingerprintData, ip) {
+    await this.fingerprintDB.update(
+      { _id: recordId },
+      { 
+        $set: { 
+          fingerprintHash,
+          fingerprintData,
+          lastUsed: new Date().getTime(),
+          lastIP: ip,
+          updatedAt: new Date().getTime()
         }
-      );
-    });
+      }
+    );
+    this.index.add({ _id: recordId, fingerprintData });
+    console.log(`已更新设备"${recordId}"的指纹记录`);
   }
 
   /**
-   * 删除用户的设备指纹记录（管理员功能）
+   * 删除用户的所有设备指纹记录（管理员功能）
    * @param {string} username - 用户名
    * @returns {Promise<number>} - 删除的记录数
    */
   async deleteFingerprintRecord(username) {
-    return new Promise((resolve, reject) => {
-      this.fingerprintDB.remove({ username }, {}, (err, numRemoved) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(numRemoved);
+    const devices = await this.getUserDevices(username);
+    const numRemoved = await this.fingerprintDB.remove({ username }, { multi: true });
+    devices.forEach(device => this.index.remove(device._id));
+    return numRemoved;
+  }
+
+  /**
+   * 把设备记录转给另一个用户，成为该用户的已信任设备（管理员功能）
+   * @param {string} recordId - 设备记录ID
+   * @param {string} username - 目标用户名
+   * @returns {Promise<number>} - 更新的记录数
+   */
+  async reassignFingerprintRecord(recordId, username) {
+    const { numAffected } = await this.fingerprintDB.update(
+      { _id: recordId },
+      { $set: { username, updatedAt: new Date().getTime() } }
+    );
+    return numAffected;
+  }
+
+  /**
+   * 根据ID查找设备记录或注册申请
+   * @param {string} id - 记录ID
+   * @returns {Promise<Object|null>}
+   */
+  async findRecordById(id) {
+    return (await this.fingerprintDB.findOne({ _id: id })) || (await this.registrationDB.findOne({ _id: id }));
+  }
+
+  /**
+   * 比较两条设备记录（或注册申请）的相似度（管理员功能）
+   * @param {string} idA - 第一条记录ID
+   * @param {string} idB - 第二条记录ID
+   * @returns {Promise<Object>} - analyzeFingerprintSimilarity的结果
+   */
+  async compareRecords(idA, idB) {
+    const recordA = await this.findRecordById(idA);
+    const recordB = await this.findRecordById(idB);
+    if (!recordA || !recordB) {
+      throw new Error('设备记录不存在');
+    }
+    return this.analyzeFingerprintSimilarity(recordA.fingerprintData, recordB.fingerprintData);
+  }
+
+  /**
+   * 转换为管理员列表中显示的摘要，不包含完整的指纹数据
+   * @param {Object} record - 设备记录或注册申请
+   * @returns {Object}
+   */
+  toSummary(record) {
+    const { fingerprintData, ...summary } = record;
+    return {
+      ...summary,
+      userAgent: fingerprintData ? fingerprintData.userAgent || '' : ''
+    };
+  }
+
+  /**
+   * 记录被设备检测拦截的注册，同一用户名只保留最新一条待审核申请
+   * @param {string} username - 用户名
+   * @param {Object} fingerprintData - 设备指纹数据
+   * @param {string} ip - IP地址
+   * @param {Object} result - validateRegistration的拦截结果
+   * @returns {Promise<void>}
+   */
+  async recordBlockedRegistration(username, fingerprintData, ip, result) {
+    const registration = {
+      username,
+      fingerprintHash: this.generateFingerprintHash(fingerprintData),
+      fingerprintData,
+      ip,
+      reason: result.reason,
+      message: result.message,
+      existingUsername: result.existingUsername || null,
+      similarityScore: result.similarityScore || null,
+      trace: result.trace || [],
+      status: REGISTRATION_STATUS.PENDING,
+      createdAt: new Date().getTime()
+    };
+    await this.registrationDB.update(
+      { username, status: REGISTRATION_STATUS.PENDING },
+      registration,
+      { upsert: true }
+    );
+  }
+
+  /**
+   * 获取注册申请列表（管理员功能）
+   * @param {string} status - 审核状态，为空时返回全部
+   * @returns {Promise<Array>}
+   */
+  async getRegistrations(status = null) {
+    return this.registrationDB.find(status ? { status } : {}, { sort: { createdAt: -1 } });
+  }
+
+  /**
+   * 更新注册申请
+   * @param {string} id - 申请ID
+   * @param {Object} fields - 要更新的字段
+   * @returns {Promise<number>} - 更新的记录数
+   */
+  async updateRegistration(id, fields) {
+    const { numAffected } = await this.registrationDB.update({ _id: id }, { $set: fields });
+    return numAffected;
+  }
+
+  /**
+   * 审核注册申请（管理员功能），批准后该用户可以用同一设备重新注册
+   * @param {string} id - 申请ID
+   * @param {boolean} approved - 是否批准
+   * @param {string} admin - 审核的管理员
+   * @returns {Promise<number>} - 更新的记录数
+   */
+  async reviewRegistration(id, approved, admin) {
+    const { numAffected } = await this.registrationDB.update(
+      { _id: id, status: REGISTRATION_STATUS.PENDING },
+      {
+        $set: {
+          status: approved ? REGISTRATION_STATUS.APPROVED : REGISTRATION_STATUS.REJECTED,
+          reviewedBy: admin,
+          reviewedAt: new Date().getTime()
         }
-      });
-    });
+      }
+    );
+    return numAffected;
+  }
+
+  /**
+   * 查找用户名和设备都匹配的已批准申请
+   * @param {string} username - 用户名
+   * @param {Object} fingerprintData - 设备指纹数据
+   * @returns {Promise<Object|null>}
+   */
+  async findApprovedRegistration(username, fingerprintData) {
+    const fingerprintHash = this.generateFingerprintHash(fingerprintData);
+    return this.registrationDB.findOne({ username, fingerprintHash, status: REGISTRATION_STATUS.APPROVED });
   }
 }
 
@@ -0,0 +1,16 @@
+/**
+ * 生成bcrypt密码哈希，用于在ADMIN_ACCOUNTS中配置管理员密码而不保存明文
+ * 使用方法：在项目根目录执行 `npm run hash-password -- 密码`，把输出填入 ADMIN_ACCOUNTS=用户名:哈希
+ */
+const bcrypt = require('bcrypt');
+
+const password = process.argv[2];
+if(!password) {
+  console.error('请提供要加密的密码：npm run hash-password -- 密码');
+  process.exitCode = 1;
+} else {
+  // 与store.hashPassword相同的加密强度
+  bcrypt.hash(password, 10).then((hash) => {
+    console.log(hash);
+  });
+}
@@ -1,10 +1,21 @@
 const io=require("./io");
+const { UploadManager, createUploadRouter, createDownloadRouter } = require("./upload");
 const {getNetworkIPv4}=require("./utils");
 const express = require('express');
 const app = express();
 const server = require('http').createServer(app);
 app.use("/",express.static('dist'));
-app.use("/assets/images",express.static('upload'));
+// 旧版本通过socket发送的图片，只开放上传目录下的png图片，分片上传保存的文件需要通过下面的路由读取
+app.use("/assets/images",(req,res,next)=>/^\/\w+\.png$/.test(req.path)?next():res.status(404).end(),express.static('upload'));
+// socket消息和HTTP路由共用同一个上传管理器
+const uploadManager=new UploadManager();
+io.setUploadManager(uploadManager);
+// 定时清理过期和没有被消息引用的上传文件
+uploadManager.startCleanup();
+// 图片、文件和语音的分片上传、读取图片
+app.use("/api",createUploadRouter(uploadManager));
+// 文件消息和语音消息的下载，需要登录且只有消息双方可以下载
+app.use("/assets",createDownloadRouter(uploadManager));
 const PORT=3000;
 io.attach(server);
 //启动服务器
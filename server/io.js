@@ -8,133 +8,444 @@ const io = require('socket.io')({
 });
 const jwt=require("./jwt");
 const store=require("./store");
-const { AuthManager, USER_ROLES, PERMISSIONS } = require('./auth');
+const { AuthManager, AUTH_ERRORS, USER_ROLES, PERMISSIONS } = require('./auth');
 const FingerprintManager = require('./fingerprint');
+const RoomManager = require('./room');
+const BanManager = require('./ban');
+const ModerationManager = require('./moderation');
+const { AuditManager, AUDIT_ACTIONS } = require('./audit');
+const { LoginGuard } = require('./login-guard');
+const { SessionManager } = require('./session');
 
+// 等待接收者确认消息的超时时间
+const DELIVERY_TIMEOUT = 10 * 1000;
+// 发送者可撤回消息的时间窗口，单位秒，可通过环境变量MESSAGE_RECALL_TIME配置
+const MESSAGE_RECALL_TIME = (parseInt(process.env.MESSAGE_RECALL_TIME) || 120) * 1000;
+// 可由管理员审核放行的注册拦截原因
+const BLOCKED_REGISTRATION_REASONS = ['ip_already_used', 'device_already_used', 'similar_device_detected'];
+// 图片、文件消息引用的上传记录无效时的提示
+const ATTACHMENT_ERRORS = { image: '图片不存在，请重新上传', file: '文件不存在，请重新上传', voice: '语音不存在，请重新录制' };
 const authManager = new AuthManager();
 const fingerprintManager = new FingerprintManager();
+const roomManager = new RoomManager();
+const banManager = new BanManager();
+const moderationManager = new ModerationManager();
+const auditManager = new AuditManager();
+const loginGuard = new LoginGuard();
+const sessionManager = new SessionManager();
+// 上传管理器与HTTP上传路由共用同一个实例，由index.js通过io.setUploadManager设置
+let uploadManager = null;
+// 正在注册的用户名，避免同名的注册请求并发时重复创建账户
+const registeringNames = new Set();
 const util={
-  async login(user,socket,isReconnect) {
+  // 记录连接的IP、设备类型等信息
+  initUser(user,socket) {
     let ip=socket.handshake.address.replace(/::ffff:/,"");
     const headers = socket.handshake.headers;
     const realIP = headers['x-forwarded-for'];
     ip=realIP?realIP:ip;
-    const deviceType=this.getDeviceType(socket.handshake.headers["user-agent"].toLowerCase());
     user.ip=ip;
-    user.deviceType=deviceType;
+    user.deviceType=this.getDeviceType(socket.handshake.headers["user-agent"].toLowerCase());
+    // socket.id只用于消息路由，用户身份使用持久化的user.id
     user.roomId=socket.id;
     user.type='user';
+    return ip;
+  },
+  // 登录、注册表单中只使用这些字段，ID、角色等由服务端确定
+  readForm(form) {
+    const { name, password, avatarUrl, fingerprintData } = form || {};
+    return {
+      name,
+      password,
+      avatarUrl: typeof avatarUrl === 'string' ? avatarUrl : '',
+      fingerprintData: fingerprintManager.normalizeFingerprintData(fingerprintData)
+    };
+  },
+  // 连接上保存的当前用户，只保留服务端确定的字段，不保存密码、设备指纹等表单数据
+  toSessionUser(user) {
+    const { id, name, avatarUrl, type, role, isAdmin, deviceType, ip, roomId, time, deviceId, sessionId, sessionVersion } = user;
+    return { id, name, avatarUrl, type, role, isAdmin: !!isAdmin, deviceType, ip, roomId, time, deviceId, sessionId, sessionVersion };
+  },
+  // 发给其他客户端的用户信息，不包含会话和设备ID
+  toPublicUser(user) {
+    const { id, name, avatarUrl, type, role, isAdmin, deviceType, ip, roomId, time } = user;
+    return { id, name, avatarUrl, type, role, isAdmin: !!isAdmin, deviceType, ip, roomId, time };
+  },
+  // 检查登录表单的用户名和密码是否已填写
+  isFilled(user) {
+    return typeof user.name === 'string' && typeof user.password === 'string' && user.name !== '' && user.password !== '';
+  },
+  // 已有账户登录，isReconnect为true时表示token登录；用户不存在时不再自动注册
+  // refreshToken为使用刷新token登录时换发的新刷新token
+  async login(user,socket,isReconnect,refreshToken = null) {
+    const ip=this.initUser(user,socket);
     if(isReconnect){
-      this.loginSuccess(user,socket);
+      // 会话被撤销（退出登录、被踢出、修改密码等）或已过期时，token随之失效
+      if(!await sessionManager.isActive(user.sessionId, user.id)) {
+        console.log(`登录失败,用户<${user.name}>的会话已失效!`);
+        this.audit(AUDIT_ACTIONS.LOGIN_FAIL, user, { detail: 'session_inactive' });
+        socket.emit('tokenLoginFail', '登录已失效，请重新登录', AUTH_ERRORS.SESSION_REVOKED);
+        return;
+      }
+      // token登录同样需要检查封禁，避免被封禁的用户凭旧token重新进入
+      const ban = await this.findBan(user, ip);
+      if(ban) {
+        console.log(`登录失败,用户<${user.name}>已被封禁!`);
+        this.audit(AUDIT_ACTIONS.LOGIN_FAIL, user, { detail: 'banned' });
+        socket.emit('tokenLoginFail', banManager.describe(ban));
+        return;
+      }
+      // 登录所用的设备已被移除时，token随之失效
+      if(user.deviceId && !await fingerprintManager.getDevice(user.deviceId)) {
+        console.log(`登录失败,用户<${user.name}>的设备已被移除!`);
+        this.audit(AUDIT_ACTIONS.LOGIN_FAIL, user, { detail: 'device_revoked' });
+        socket.emit('tokenLoginFail', '该设备已被移除，请重新登录');
+        return;
+      }
+      // 用户名和角色以用户库为准，不使用token中的数据
+      const account = await store.getUserById(user.id);
+      if(!account) {
+        console.log(`登录失败,用户<${user.name}>不存在!`);
+        this.audit(AUDIT_ACTIONS.LOGIN_FAIL, user, { detail: 'user_not_found' });
+        socket.emit('tokenLoginFail', '账户不存在，请重新登录', AUTH_ERRORS.SESSION_REVOKED);
+        return;
+      }
+      user.name = account.name;
+      user.role = authManager.getAccountRole(account);
+      user.isAdmin = user.role === USER_ROLES.ADMIN;
+      // 修改或重置密码后，之前签发的token失效
+      if((account.sessionVersion || 0) !== (user.sessionVersion || 0)) {
+        console.log(`登录失败,用户<${user.name}>的密码已修改!`);
+        this.audit(AUDIT_ACTIONS.LOGIN_FAIL, user, { detail: 'session_revoked' });
+        socket.emit('tokenLoginFail', '密码已修改，请重新登录');
+        return;
+      }
+      await this.loginSuccess(user,socket,refreshToken);
+      this.audit(AUDIT_ACTIONS.LOGIN, user, { detail: refreshToken ? 'refresh' : 'token' });
       console.log(`用户<${user.name}>重新链接成功！`)
     }else {
       // 检查用户名和密码是否为空
-      if(!user.name || !user.password) {
+      // 用户名和密码必须是字符串，避免把查询操作符带入数据库查询
+      if(!this.isFilled(user)) {
         console.log(`登录失败,用户名或密码为空!`)
-        socket.emit('loginFail','用户名和密码不能为空!')
+        socket.emit('loginFail','用户名和密码不能为空!', AUTH_ERRORS.EMPTY_FIELDS, user.name ? 'password' : 'name')
         return;
       }
+
+      // 同一账户或IP的密码校验依次进行，保证每次校验前都能看到之前的失败计数
+      const loginResult = await loginGuard.exclusive(user.name, ip, () => this.verifyPassword(user,socket,ip));
+      if(!loginResult) {
+        return;
+      }
+
+      // 已存在用户（管理员或普通用户）登录成功
+      // 设置用户角色和基本信息
+      user.role = loginResult.role;
+      user.isAdmin = loginResult.isAdmin;
+      user.id = loginResult.isAdmin
+        ? await store.ensureAdminUser(user)
+        : await store.ensureUserId(loginResult.user);
+      if(!user.id) {
+        console.log(`登录失败,管理员账户名<${user.name}>已被普通用户注册!`);
+        this.audit(AUDIT_ACTIONS.LOGIN_FAIL, user, { detail: 'admin_name_taken' });
+        socket.emit('loginFail', '该管理员账户名已被普通用户注册，请修改管理员账户配置', AUTH_ERRORS.USERNAME_TAKEN);
+        return;
+      }
+      user.sessionVersion = loginResult.user ? loginResult.user.sessionVersion || 0 : 0;
+      user.time = new Date().getTime();
       
-      // 使用新的权限系统验证用户登录
-      const loginResult = await store.verifyUserLogin(user.name, user.password);
-      
-      if(loginResult.isValid) {
-        // 已存在用户（管理员或普通用户）登录成功
-        const isOnline = await this.isHaveName(user.name);
-        if(!isOnline){
-          // 设置用户角色和基本信息
-          user.role = loginResult.role;
-          user.isAdmin = loginResult.isAdmin;
-          user.id = socket.id;
-          user.time = new Date().getTime();
-          
-          // 设备指纹验证（登录）
-          if(user.fingerprintData) {
-            const fingerprintResult = await fingerprintManager.validateLogin(
-              user.name, 
-              user.fingerprintData, 
-              loginResult.isAdmin
-            );
-            
-            if(!fingerprintResult.allowed) {
-              console.log(`登录失败,设备指纹验证失败: ${user.name} - ${fingerprintResult.message}`);
-              socket.emit('loginFail', fingerprintResult.message);
-              return;
+      // 设备指纹验证（登录），在在线检查之前进行，使新设备的验证请求能推送到在线的已信任设备
+      // 普通用户必须携带设备指纹，否则会绕过新设备验证；管理员账户在配置中设置，不强制
+      if(!user.fingerprintData && !loginResult.isAdmin) {
+        console.log(`登录失败,缺少设备指纹数据: ${user.name}`);
+        this.audit(AUDIT_ACTIONS.LOGIN_FAIL, user, { detail: 'login_no_fingerprint' });
+        socket.emit('loginFail', '设备验证失败，请刷新页面重试', AUTH_ERRORS.DEVICE_REJECTED);
+        return;
+      }
+      let fingerprintResult = null;
+      if(user.fingerprintData) {
+        fingerprintResult = await fingerprintManager.validateLogin(
+          user.name, 
+          user.fingerprintData, 
+          ip,
+          loginResult.isAdmin
+        );
+        
+        if(!fingerprintResult.allowed) {
+          console.log(`登录失败,设备指纹验证失败: ${user.name} - ${fingerprintResult.message}`);
+          this.audit(AUDIT_ACTIONS.LOGIN_FAIL, user, { fingerprint: fingerprintResult, detail: 'fingerprint' });
+          socket.emit('loginFail', fingerprintResult.message, AUTH_ERRORS.DEVICE_REJECTED);
+          if(fingerprintResult.request) {
+            const owner = (await io.fetchSockets()).find(client => client.user && client.user.name === user.name);
+            if(owner) {
+              owner.emit('device:verify-request', fingerprintResult.request);
             }
-            
-            console.log(`设备指纹验证通过: ${user.name} - ${fingerprintResult.message}`);
           }
-          
-          if(loginResult.isAdmin) {
-            console.log(`管理员<${user.name}>登录成功！`);
-          } else {
-            console.log(`用户<${user.name}>登录成功！`);
-          }
-          
-          this.loginSuccess(user,socket);
-        }else{
-          console.log(`登录失败,用户<${user.name}>已在线!`)
-          socket.emit('loginFail','该用户已在线，请稍后再试!')
+          return;
         }
-      } else {
-        // 登录失败，需要区分是用户不存在还是密码错误
-        const existingUser = await store.getUserByName(user.name);
         
-        if (existingUser) {
-          // 用户存在但密码错误
-          console.log(`登录失败,用户<${user.name}>密码错误!`)
-          socket.emit('loginFail','用户名或密码错误!');
-          return;
+        console.log(`设备指纹验证通过: ${user.name} - ${fingerprintResult.message}`);
+        user.deviceId = fingerprintResult.deviceId || null;
+      }
+      
+      const isOnline = await this.isHaveName(user.name);
+      if(!isOnline){
+        if(loginResult.isAdmin) {
+          console.log(`管理员<${user.name}>登录成功！`);
+        } else {
+          console.log(`用户<${user.name}>登录成功！`);
         }
         
-        // 用户不存在，尝试注册新用户（仅限普通用户）
-        const isOnline = await this.isHaveName(user.name);
-        if(!isOnline){
-          // 设备指纹验证（注册）
-          if(user.fingerprintData) {
-            const fingerprintResult = await fingerprintManager.validateRegistration(
-              user.name, 
-              user.fingerprintData, 
-              ip, 
-              false // 新注册用户不是管理员
-            );
-            
-            if(!fingerprintResult.allowed) {
-              console.log(`注册失败,设备指纹验证失败: ${user.name} - ${fingerprintResult.message}`);
-              socket.emit('loginFail', fingerprintResult.message);
-              return;
-            }
-            
-            console.log(`设备指纹验证通过: ${user.name} - ${fingerprintResult.message}`);
-          } else {
-            console.log(`注册失败,缺少设备指纹数据: ${user.name}`);
-            socket.emit('loginFail', '设备验证失败，请刷新页面重试');
-            return;
-          }
-          
-          // 新用户注册
-          user.role = USER_ROLES.USER;
-          user.isAdmin = false;
-          user.id = socket.id;
-          user.time = new Date().getTime();
-          
-          const hashedPassword = await store.hashPassword(user.password);
-          const userToSave = {...user, password: hashedPassword};
-          await store.saveUserWithRole(userToSave, 'register', USER_ROLES.USER);
-          console.log(`新用户<${user.name}>注册并登录成功！`);
-          
-          this.loginSuccess(user,socket);
-        }else{
-          console.log(`登录失败,用户<${user.name}>已在线!`)
-          socket.emit('loginFail','该用户已在线，请稍后再试!')
+        const session = await sessionManager.createSession(user);
+        user.sessionId = session.session.id;
+        await this.loginSuccess(user,socket,session.refreshToken);
+        this.audit(AUDIT_ACTIONS.LOGIN, user, { fingerprint: fingerprintResult, detail: 'password' });
+      }else{
+        console.log(`登录失败,用户<${user.name}>已在线!`)
+        this.audit(AUDIT_ACTIONS.LOGIN_FAIL, user, { detail: 'online' });
+        socket.emit('loginFail','该用户已在线，请稍后再试!', AUTH_ERRORS.ONLINE)
+      }
+    }
+  },
+  // 检查锁定和封禁后校验密码，记录失败或成功；校验未通过时已发送loginFail，返回null
+  async verifyPassword(user,socket,ip) {
+    // 连续登录失败过多的账户或IP暂时锁定，锁定期间不再校验密码
+    const lockout = await loginGuard.check(user.name, ip);
+    if(lockout) {
+      console.log(`登录失败,${lockout.key}已被锁定!`);
+      this.audit(AUDIT_ACTIONS.LOGIN_FAIL, user, { detail: { stage: 'locked', key: lockout.key } });
+      socket.emit('loginFail', loginGuard.describe(lockout), AUTH_ERRORS.LOCKED);
+      return null;
+    }
+
+    // 检查封禁（账户名、设备指纹、IP）
+    const ban = await this.findBan(user, ip);
+    if(ban) {
+      console.log(`登录失败,用户<${user.name}>已被封禁!`);
+      this.audit(AUDIT_ACTIONS.LOGIN_FAIL, user, { detail: 'banned' });
+      socket.emit('loginFail', banManager.describe(ban), AUTH_ERRORS.BANNED);
+      return null;
+    }
+    
+    // 使用新的权限系统验证用户登录
+    const loginResult = await store.verifyUserLogin(user.name, user.password);
+    if(!loginResult.isValid) {
+      // 审计日志中区分用户不存在和密码错误，返回给客户端的错误相同，不暴露账户是否存在
+      // 配置的管理员账户首次登录前在用户库中没有记录
+      const existingUser = authManager.adminAccounts.has(user.name) || await store.getUserByName(user.name);
+      console.log(`登录失败,用户<${user.name}>${existingUser ? '密码错误' : '不存在'}!`)
+      const locked = await loginGuard.recordFailure(user.name, ip);
+      this.audit(AUDIT_ACTIONS.LOGIN_FAIL, user, {
+        detail: locked ? { stage: existingUser ? 'password' : 'user_not_found', locked: locked.key } : (existingUser ? 'password' : 'user_not_found')
+      });
+      if(locked) {
+        socket.emit('loginFail', loginGuard.describe(locked), AUTH_ERRORS.LOCKED);
+      } else {
+        socket.emit('loginFail','用户名或密码错误!', AUTH_ERRORS.INVALID_CREDENTIALS, 'password');
+      }
+      return null;
+    }
+    await loginGuard.recordSuccess(user.name);
+    return loginResult;
+  },
+  // 注册新用户（仅限普通用户），成功后直接登录
+  async register(user,socket) {
+    const ip=this.initUser(user,socket);
+    if(!this.isFilled(user)) {
+      socket.emit('registerFail','用户名和密码不能为空!', AUTH_ERRORS.EMPTY_FIELDS, user.name ? 'password' : 'name');
+      return;
+    }
+    // 校验用户名格式、保留名称和密码强度
+    const invalid = authManager.validateUsername(user.name) || authManager.validatePassword(user.password, user.name);
+    if(invalid) {
+      console.log(`注册失败,用户<${user.name}>: ${invalid.message}`);
+      socket.emit('registerFail', invalid.message, invalid.code, invalid.field);
+      return;
+    }
+
+    // 拦截被封禁的账户名、设备指纹和IP注册新账户
+    const ban = await this.findBan(user, ip);
+    if(ban) {
+      console.log(`注册失败,用户<${user.name}>已被封禁!`);
+      this.audit(AUDIT_ACTIONS.LOGIN_FAIL, user, { detail: 'banned' });
+      socket.emit('registerFail', banManager.describe(ban), AUTH_ERRORS.BANNED);
+      return;
+    }
+
+    // 同名注册请求并发时只处理第一个，检查和占用之间不能有await
+    const usernameTaken = () => {
+      console.log(`注册失败,用户名<${user.name}>已被使用!`);
+      socket.emit('registerFail','该用户名已被注册', AUTH_ERRORS.USERNAME_TAKEN, 'name');
+    };
+    if(registeringNames.has(user.name)) {
+      usernameTaken();
+      return;
+    }
+    registeringNames.add(user.name);
+    try {
+      if(await store.getUserByName(user.name)) {
+        usernameTaken();
+        return;
+      }
+      // 设备指纹验证（注册）
+      if(!user.fingerprintData) {
+        console.log(`注册失败,缺少设备指纹数据: ${user.name}`);
+        this.audit(AUDIT_ACTIONS.LOGIN_FAIL, user, { detail: 'register_no_fingerprint' });
+        socket.emit('registerFail', '设备验证失败，请刷新页面重试', AUTH_ERRORS.DEVICE_REJECTED);
+        return;
+      }
+      const fingerprintResult = await fingerprintManager.validateRegistration(
+        user.name, 
+        user.fingerprintData, 
+        ip, 
+        false // 新注册用户不是管理员
+      );
+      if(!fingerprintResult.allowed) {
+        console.log(`注册失败,设备指纹验证失败: ${user.name} - ${fingerprintResult.message}`);
+        this.audit(AUDIT_ACTIONS.LOGIN_FAIL, user, {
+          fingerprint: fingerprintResult,
+          detail: { stage: 'register_fingerprint', trace: fingerprintResult.trace }
+        });
+        // 因设备或IP重复被拦截的注册交给管理员审核
+        if(BLOCKED_REGISTRATION_REASONS.includes(fingerprintResult.reason)) {
+          await fingerprintManager.recordBlockedRegistration(user.name, user.fingerprintData, ip, fingerprintResult);
         }
+        socket.emit('registerFail', fingerprintResult.message, AUTH_ERRORS.DEVICE_REJECTED);
+        return;
       }
+      console.log(`设备指纹验证通过: ${user.name} - ${fingerprintResult.message}`);
+      user.deviceId = fingerprintResult.deviceId || null;
+
+      // 新用户注册
+      user.role = USER_ROLES.USER;
+      user.isAdmin = false;
+      user.id = store.createUserId();
+      user.sessionVersion = 0;
+      user.time = new Date().getTime();
+      
+      // 只保存账户信息，IP、设备指纹等由FingerprintManager单独记录
+      const userToSave = {
+        id: user.id,
+        name: user.name,
+        avatarUrl: user.avatarUrl,
+        password: await store.hashPassword(user.password),
+        sessionVersion: 0,
+        time: user.time
+      };
+      await store.saveUserWithRole(userToSave, 'register', USER_ROLES.USER);
+      console.log(`新用户<${user.name}>注册并登录成功！`);
+      
+      const session = await sessionManager.createSession(user);
+      user.sessionId = session.session.id;
+      await this.loginSuccess(user,socket,session.refreshToken);
+      this.audit(AUDIT_ACTIONS.REGISTER, user, {
+        fingerprint: fingerprintResult,
+        detail: { trace: fingerprintResult.trace }
+      });
+    } finally {
+      registeringNames.delete(user.name);
     }
   },
-  async loginSuccess(user, socket) {
+  // 使用管理员生成的一次性重置码设置新密码，form: { name, code, password }
+  async resetPassword(form,socket) {
+    const fail = (message, code, field) => socket.emit('resetPasswordFail', message, code, field);
+    if(!form || typeof form.name !== 'string' || !form.name) {
+      fail('请输入用户名', AUTH_ERRORS.EMPTY_FIELDS, 'name');
+      return;
+    }
+    if(typeof form.code !== 'string' || !form.code) {
+      fail('请输入重置码', AUTH_ERRORS.EMPTY_FIELDS, 'code');
+      return;
+    }
+    // 先校验新密码，避免因密码强度不足浪费重置码的尝试次数
+    const invalid = authManager.validatePassword(form.password, form.name);
+    if(invalid) {
+      fail(invalid.message, invalid.code, 'password');
+      return;
+    }
+    const ip = this.initUser(form, socket);
+    const account = await store.getUserByName(form.name);
+    if(!account || !account.password || !await store.consumeResetCode(account, form.code)) {
+      console.log(`重置密码失败,用户<${form.name}>的重置码无效!`);
+      this.audit(AUDIT_ACTIONS.LOGIN_FAIL, form, { detail: 'reset_code' });
+      fail('重置码无效或已过期', AUTH_ERRORS.INVALID_RESET_CODE, 'code');
+      return;
+    }
+    await store.setPassword(account, form.password);
+    await this.revokeSessions(account.id, '密码已重置，请重新登录');
+    this.audit(AUDIT_ACTIONS.PASSWORD, { name: account.name, id: account.id, ip }, { detail: { operation: 'reset' } });
+    console.log(`用户<${account.name}>使用重置码重置了密码`);
+    socket.emit('resetPasswordSuccess');
+  },
+  // 使用刷新token登录：换发新的刷新token后，按token登录的流程检查会话、封禁和设备
+  async refreshLogin(refreshToken, socket) {
+    const result = await sessionManager.refresh(refreshToken);
+    if(!result) {
+      socket.emit('tokenLoginFail', '登录已过期，请重新登录', AUTH_ERRORS.SESSION_REVOKED);
+      return;
+    }
+    const user = { ...result.session.user, sessionId: result.session.id };
+    await this.login(user, socket, true, result.refreshToken);
+  },
+  // 撤销该用户的所有会话并断开连接，except为保留的当前连接
+  async revokeSessions(userId, reason, except = null) {
+    const count = await sessionManager.revokeUser(userId, reason, except && except.user ? except.user.sessionId : null);
+    await this.disconnectSessions(client => client.user.id === userId && (!except || client.id !== except.id), reason);
+    return count;
+  },
+  // 撤销单个会话并断开使用该会话的连接
+  async revokeSession(sessionId, reason, userId = null) {
+    if(!await sessionManager.revoke(sessionId, reason, userId)) {
+      return false;
+    }
+    await this.disconnectSessions(client => client.user.sessionId === sessionId, reason);
+    return true;
+  },
+  // 向已登录的连接推送群组变化，未加入的用户也需要看到群组以便加入；未登录的连接不推送成员列表
+  async broadcastRoom(room) {
+    const session = roomManager.toSession(room);
+    (await io.fetchSockets()).forEach((client) => {
+      if(client.user) {
+        client.emit('room:update', session);
+      }
+    });
+  },
+  // 通知并断开符合条件的已登录连接
+  async disconnectSessions(filter, reason) {
+    const clients = await io.fetchSockets();
+    clients.forEach((client) => {
+      if(client.user && filter(client)) {
+        client.emit('session:revoked', reason);
+        client.disconnect(true);
+      }
+    });
+  },
+  // 记录审计日志，actor为执行操作的用户
+  audit(action, actor, fields = {}) {
+    auditManager.log({
+      action,
+      actor: actor.name,
+      actorId: actor.id || null,
+      ip: actor.ip || null,
+      ...fields
+    });
+  },
+  // 查找对该用户生效的封禁
+  async findBan(user, ip) {
+    const fingerprintHash = user.fingerprintData
+      ? fingerprintManager.generateFingerprintHash(user.fingerprintData)
+      : null;
+    return banManager.findActiveBan({ username: user.name, fingerprintHash, ip });
+  },
+  async loginSuccess(user, socket, refreshToken = null) {
+    user = this.toSessionUser(user);
+    const publicUser = this.toPublicUser(user);
     const data={
-      user:user,
-      token:jwt.createTokenWithRole(user)
+      user:publicUser,
+      token:jwt.createTokenWithRole(user),
+      // 访问token登录时不换发刷新token，客户端继续使用原来的
+      refreshToken:refreshToken,
+      recallTime:MESSAGE_RECALL_TIME
     };
     
     // 根据用户角色决定广播范围
@@ -143,46 +454,310 @@ const util={
       // 管理员登录时，向所有用户广播（管理员和普通用户都能看到管理员）
       clients.forEach((client) => {
         if(client.user) {
-          client.emit('system', user, 'join');
+          client.emit('system', publicUser, 'join');
         }
       });
     } else {
       // 普通用户登录时，只向管理员广播
       clients.forEach((client) => {
         if(client.user && client.user.isAdmin) {
-          client.emit('system', user, 'join');
+          client.emit('system', publicUser, 'join');
         }
       });
     }
-    socket.on('message',(from, to,message,type)=> {
-      // 只允许私聊，且普通用户只能与管理员私聊
-      if(to.type==='user'){
-        // 检查权限：普通用户只能与管理员私聊
-        if(!socket.user.isAdmin && !to.isAdmin) {
-          socket.emit('message-error', '您只能与管理员私聊');
+    // 客户端只提供接收者ID，发送者为当前连接的用户，接收者由服务端查找
+    // ack回调：消息入库后返回服务端分配的消息ID，即“已送达服务器”
+    socket.on('message',async (toId,message,type,ack)=> {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        let result;
+        // 入库前先经过审核：禁言、屏蔽词拒绝或打码
+        const moderation = await moderationManager.check(user, message, type);
+        const fields = moderation.allowed && await this.checkContent(user, moderation.content, type);
+        if(!moderation.allowed){
+          result = { error: moderation.error };
+        }else if(!fields){
+          result = { error: ATTACHMENT_ERRORS[type] || '消息格式错误' };
+        }else if(typeof toId !== 'string'){
+          result = { error: '未知的会话类型' };
+        }else if(await roomManager.getRoom(toId)){
+          result = await this.sendRoomMessage(socket, toId, moderation.content, type, fields);
+        }else {
+          result = await this.sendPrivateMessage(socket, toId, moderation.content, type, fields);
+        }
+        if(!result.error && ATTACHMENT_ERRORS[type]) {
+          await uploadManager.addReference(moderation.content);
+        }
+        // 内容被打码时把处理后的内容返回给发送者
+        if(!result.error && moderation.content !== message) {
+          result.content = moderation.content;
+        }
+        if(result.error) {
+          socket.emit('message-error', result.error);
+        }
+        reply(result);
+      } catch (error) {
+        console.error('发送消息失败:', error);
+        socket.emit('message-error', '发送失败，请稍后重试');
+        reply({ error: '发送失败，请稍后重试' });
+      }
+    });
+
+    // 上传文件前获取新的访问token，连接期间访问token可能已经过期
+    socket.on('session:token', (ack) => {
+      if(typeof ack === 'function') {
+        ack(jwt.createTokenWithRole(user));
+      }
+    });
+
+    // 对方打开会话，把该会话中收到的消息标记为已读
+    socket.on('message-read', async (peerId) => {
+      if(typeof peerId !== 'string') {
+        return;
+      }
+      try {
+        const ids = await store.markRead(peerId, user.id);
+        if(ids.length === 0) {
           return;
         }
-        
-        socket.broadcast.to(to.roomId).emit('message', socket.user, to,message,type);
-        // 保存私聊消息
-        store.saveMessage(from,to,message,type);
+        const sender = await this.findUserSocket(peerId);
+        if(sender) {
+          sender.emit('message-status', user.id, ids, store.MESSAGE_STATUS.READ);
+        }
+      } catch (error) {
+        console.error('标记消息已读失败:', error);
       }
-      // 移除群聊功能
     });
-    
+
+    // 撤回自己发送的消息
+    socket.on('message:recall', async (messageId) => {
+      try {
+        const doc = typeof messageId === 'string' && await store.getMessageById(messageId);
+        if(!doc || doc.fromId !== user.id) {
+          socket.emit('message-error', '消息不存在');
+          return;
+        }
+        if(doc.recalled) {
+          return;
+        }
+        if(new Date().getTime() - doc.time > MESSAGE_RECALL_TIME) {
+          socket.emit('message-error', `只能撤回${Math.round(MESSAGE_RECALL_TIME / 1000)}秒内的消息`);
+          return;
+        }
+        await this.removeMessage(doc, 'sender', socket);
+        this.audit(AUDIT_ACTIONS.RECALL_MESSAGE, user, { target: doc._id });
+        console.log(`用户<${user.name}>撤回了一条消息`);
+      } catch (error) {
+        console.error('撤回消息失败:', error);
+        socket.emit('message-error', '撤回失败，请稍后重试');
+      }
+    });
+
+    // 我的设备：已信任的设备和待验证的新设备
+    const sendDevices = async () => {
+      const devices = await fingerprintManager.getUserDevices(user.name);
+      const requests = await fingerprintManager.getDeviceRequests(user.name);
+      socket.emit('device:list', {
+        devices: devices.map(device => ({
+          ...fingerprintManager.toSummary(device),
+          current: device._id === user.deviceId
+        })),
+        requests: requests.map(request => fingerprintManager.toSummary(request))
+      });
+    };
+    socket.on('device:list', sendDevices);
+    socket.on('device:revoke', async (deviceId) => {
+      if(deviceId === user.deviceId) {
+        socket.emit('device:error', '不能移除当前正在使用的设备');
+        return;
+      }
+      if(await fingerprintManager.removeDevice(user.name, deviceId) === 0) {
+        socket.emit('device:error', '设备不存在');
+        return;
+      }
+      this.audit(AUDIT_ACTIONS.DEVICE, user, { target: deviceId, detail: { operation: 'revoke' } });
+      await sendDevices();
+    });
+    socket.on('device:review', async (requestId, approved) => {
+      try {
+        await fingerprintManager.reviewDeviceRequest(user.name, requestId, !!approved);
+        this.audit(AUDIT_ACTIONS.DEVICE, user, {
+          target: requestId,
+          detail: { operation: approved ? 'approve_device' : 'reject_device' }
+        });
+        await sendDevices();
+      } catch (error) {
+        socket.emit('device:error', error.message);
+      }
+    });
+
+    // 修改密码：校验原密码和新密码强度，成功后其他会话需要重新登录，当前会话换发新token
+    socket.on('change-password', async (oldPassword, newPassword) => {
+      try {
+        if(user.isAdmin) {
+          socket.emit('password-error', '管理员账户的密码在ADMIN_ACCOUNTS中配置');
+          return;
+        }
+        const account = await store.getUserById(user.id);
+        if(!account || !account.password || typeof oldPassword !== 'string' || !await store.verifyPassword(oldPassword, account.password)) {
+          socket.emit('password-error', '原密码错误', AUTH_ERRORS.WRONG_PASSWORD, 'oldPassword');
+          return;
+        }
+        const invalid = authManager.validatePassword(newPassword, user.name);
+        if(invalid) {
+          socket.emit('password-error', invalid.message, invalid.code, 'newPassword');
+          return;
+        }
+        user.sessionVersion = await store.setPassword(account, newPassword);
+        // 当前会话保存的用户信息用于刷新登录，需要同步新的密码版本
+        await sessionManager.updateSessionVersion(user.sessionId, user.sessionVersion);
+        await this.revokeSessions(user.id, '密码已修改，请重新登录', socket);
+        this.audit(AUDIT_ACTIONS.PASSWORD, user, { detail: { operation: 'change' } });
+        console.log(`用户<${user.name}>修改了密码`);
+        socket.emit('password-changed', jwt.createTokenWithRole(user));
+      } catch (error) {
+        console.error('修改密码失败:', error);
+        socket.emit('password-error', '修改密码失败，请稍后重试');
+      }
+    });
+
+    // 登录会话：查看自己的会话、撤销其他会话、退出登录
+    const sendSessions = async () => {
+      const sessions = await sessionManager.getUserSessions(user.id);
+      socket.emit('session:list', sessions.map(session => ({ ...session, current: session.id === user.sessionId })));
+    };
+    socket.on('session:list', async () => {
+      try {
+        await sendSessions();
+      } catch (error) {
+        console.error('获取登录会话失败:', error);
+        socket.emit('session:error', '获取登录会话失败');
+      }
+    });
+    socket.on('session:revoke', async (sessionId) => {
+      if(sessionId === user.sessionId) {
+        socket.emit('session:error', '不能撤销当前会话，请使用退出登录');
+        return;
+      }
+      try {
+        if(typeof sessionId !== 'string' || !await this.revokeSession(sessionId, '该会话已在其他设备上退出，请重新登录', user.id)) {
+          socket.emit('session:error', '会话不存在');
+          return;
+        }
+        this.audit(AUDIT_ACTIONS.SESSION, user, { target: sessionId, detail: { operation: 'revoke' } });
+        await sendSessions();
+      } catch (error) {
+        console.error('撤销登录会话失败:', error);
+        socket.emit('session:error', '撤销会话失败，请稍后重试');
+      }
+    });
+    // 退出登录：撤销当前会话后由客户端断开连接，撤销失败时客户端同样清除登录信息
+    socket.on('logout', async (ack) => {
+      try {
+        await sessionManager.revoke(user.sessionId, 'logout');
+        this.audit(AUDIT_ACTIONS.SESSION, user, { target: user.sessionId, detail: { operation: 'logout' } });
+        console.log(`用户<${user.name}>退出登录`);
+      } catch (error) {
+        console.error('退出登录失败:', error);
+      } finally {
+        if(typeof ack === 'function') {
+          ack();
+        }
+      }
+    });
+
+    // 加入已经是成员的群组，并下发群组列表
+    const rooms = await roomManager.getRooms();
+    rooms.forEach((room) => {
+      if(roomManager.isMember(room, user.id)) {
+        socket.join(room.id);
+      }
+    });
+    socket.emit('room:list', rooms.map(room => roomManager.toSession(room)));
+
+    // 创建群组
+    socket.on('room:create', async (name) => {
+      try {
+        const room = await roomManager.createRoom(name, user);
+        socket.join(room.id);
+        await this.broadcastRoom(room);
+        console.log(`用户<${user.name}>创建了群组<${room.name}>`);
+      } catch (error) {
+        socket.emit('room:error', error.message);
+      }
+    });
+
+    // 加入群组
+    socket.on('room:join', async (roomId) => {
+      try {
+        const room = await roomManager.joinRoom(roomId, user);
+        socket.join(room.id);
+        await this.broadcastRoom(room);
+      } catch (error) {
+        socket.emit('room:error', error.message);
+      }
+    });
+
+    // 退出群组
+    socket.on('room:leave', async (roomId) => {
+      try {
+        const room = await roomManager.leaveRoom(roomId, user);
+        socket.leave(room.id);
+        await this.broadcastRoom(room);
+      } catch (error) {
+        socket.emit('room:error', error.message);
+      }
+    });
+
+    // 分页获取与某个用户或群组的历史消息
+    socket.on('get-history', async (peerId, options = {}) => {
+      const before = options.before || null;
+      try {
+        let result = { messages: [], hasMore: false };
+        const room = await roomManager.getRoom(peerId);
+        if(room) {
+          // 群组历史只对成员开放
+          if(roomManager.isMember(room, user.id)) {
+            result = await store.getRoomMessages(roomManager.toSession(room), options);
+          }
+        } else {
+          // 对方可能已离线，此时从用户库中查找
+          const peer = (await this.getOnlineUsers()).find(item => item.id === peerId)
+            || await store.getUserById(peerId);
+          if(peer) {
+            result = await store.getMessages(user, peer, options);
+          }
+        }
+        socket.emit('history-message', peerId, result.messages, { hasMore: result.hasMore, before });
+      } catch (error) {
+        console.error('获取历史消息失败:', error);
+        socket.emit('message-error', '获取历史消息失败');
+      }
+    });
+
     // 管理员专用功能
     if(user.isAdmin) {
-      // 踢出用户
-      socket.on('admin:kick-user', async (targetUserId, reason) => {
-        if(!authManager.hasPermission(user.role, PERMISSIONS.KICK_USER)) {
+      // 管理操作：检查权限，出错时把错误发回给管理员
+      const adminAction = (permission, handler) => async (...args) => {
+        if(!authManager.hasPermission(user.role, permission)) {
           socket.emit('admin:error', '权限不足');
           return;
         }
-        
+        try {
+          await handler(...args);
+        } catch (error) {
+          socket.emit('admin:error', error.message);
+        }
+      };
+
+      // 踢出用户
+      socket.on('admin:kick-user', adminAction(PERMISSIONS.KICK_USER, async (targetUserId, reason) => {
         const clients = await io.fetchSockets();
         const targetSocket = clients.find(client => client.user && client.user.id === targetUserId);
         
         if(targetSocket) {
+          // 撤销被踢出的会话，避免凭token重新登录
+          await sessionManager.revoke(targetSocket.user.sessionId, 'kick');
           targetSocket.emit('admin:kicked', reason || '您已被管理员踢出');
           targetSocket.disconnect(true);
           socket.broadcast.emit('system-message', {
@@ -191,11 +766,136 @@ const util={
             admin: user.name,
             reason: reason
           });
+          this.audit(AUDIT_ACTIONS.KICK, user, { target: targetSocket.user.name, detail: reason || null });
           console.log(`管理员 ${user.name} 踢出了用户 ${targetSocket.user.name}`);
         } else {
           socket.emit('admin:error', '用户不在线');
         }
-      });
+      }));
+      
+      // 封禁用户，options: { reason, duration（毫秒，为空表示永久）, byFingerprint, byIP }
+      socket.on('admin:ban-user', adminAction(PERMISSIONS.BAN_USER, async (username, options = {}) => {
+        if(typeof username !== 'string' || !username || username === user.name || authManager.adminAccounts.has(username)) {
+          socket.emit('admin:error', '不能封禁该用户');
+          return;
+        }
+        const account = await store.getUserByName(username);
+        if(!account) {
+          socket.emit('admin:error', '用户不存在');
+          return;
+        }
+
+        const targetSocket = (await io.fetchSockets())
+          .find(client => client.user && client.user.name === username);
+        // 设备指纹和IP取自FingerprintManager的记录，用户在线时优先使用当前IP
+        const record = await fingerprintManager.getUserFingerprintRecord(username);
+        const ip = (targetSocket && targetSocket.user.ip) || (record && (record.lastIP || record.ip)) || null;
+        const ban = await banManager.banUser({
+          username,
+          reason: options.reason,
+          duration: Number(options.duration) || 0,
+          admin: user.name,
+          fingerprintHash: options.byFingerprint && record ? record.fingerprintHash : null,
+          ip: options.byIP ? ip : null
+        });
+        await sessionManager.revokeUser(account.id, 'ban');
+
+        if(targetSocket) {
+          targetSocket.emit('admin:kicked', banManager.describe(ban));
+          targetSocket.disconnect(true);
+        }
+        socket.broadcast.emit('system-message', {
+          type: 'ban',
+          message: `用户 ${username} 被管理员封禁`,
+          admin: user.name,
+          reason: ban.reason
+        });
+        socket.emit('admin:bans-list', await banManager.getActiveBans());
+        this.audit(AUDIT_ACTIONS.BAN, user, {
+          target: username,
+          detail: { reason: ban.reason, expiresAt: ban.expiresAt, fingerprintHash: ban.fingerprintHash, ip: ban.ip }
+        });
+        console.log(`管理员 ${user.name} 封禁了用户 ${username}`);
+      }));
+
+      // 解除封禁
+      socket.on('admin:unban-user', adminAction(PERMISSIONS.BAN_USER, async (username) => {
+        const count = typeof username === 'string' ? await banManager.unbanUser(username, user.name) : 0;
+        if(count === 0) {
+          socket.emit('admin:error', '该用户未被封禁');
+          return;
+        }
+        socket.emit('admin:bans-list', await banManager.getActiveBans());
+        this.audit(AUDIT_ACTIONS.UNBAN, user, { target: username });
+        console.log(`管理员 ${user.name} 解除了用户 ${username} 的封禁`);
+      }));
+
+      // 获取封禁列表
+      socket.on('admin:get-bans', adminAction(PERMISSIONS.BAN_USER, async () => {
+        socket.emit('admin:bans-list', await banManager.getActiveBans());
+      }));
+      
+      // 删除任意消息
+      socket.on('admin:delete-message', adminAction(PERMISSIONS.DELETE_MESSAGE, async (messageId) => {
+        const doc = typeof messageId === 'string' && await store.getMessageById(messageId);
+        if(!doc || doc.recalled) {
+          socket.emit('admin:error', '消息不存在');
+          return;
+        }
+        await this.removeMessage(doc, 'admin', socket);
+        this.audit(AUDIT_ACTIONS.DELETE_MESSAGE, user, { target: doc.fromName, detail: { messageId: doc._id } });
+        console.log(`管理员 ${user.name} 删除了 ${doc.fromName} 发送的一条消息`);
+      }));
+      
+      // 聊天审核：屏蔽词规则和禁言
+      const moderate = (handler) => async (...args) => {
+        if(!authManager.hasPermission(user.role, PERMISSIONS.MODERATE_CHAT)) {
+          socket.emit('admin:error', '权限不足');
+          return;
+        }
+        try {
+          await handler(...args);
+          socket.emit('admin:moderation', {
+            rules: await moderationManager.getRules(),
+            mutes: await moderationManager.getMutes()
+          });
+        } catch (error) {
+          socket.emit('admin:error', error.message);
+        }
+      };
+      socket.on('admin:get-moderation', moderate(async () => {}));
+      socket.on('admin:add-rule', moderate(async (rule) => {
+        const newRule = await moderationManager.addRule(rule || {}, user.name);
+        if(!newRule) {
+          throw new Error('添加屏蔽规则失败');
+        }
+        const { pattern, isRegex, action } = newRule;
+        this.audit(AUDIT_ACTIONS.MODERATION, user, { target: newRule._id, detail: { operation: 'add', pattern, isRegex, action } });
+        console.log(`管理员 ${user.name} 添加了屏蔽规则: ${newRule.pattern}`);
+      }));
+      socket.on('admin:update-rule', moderate(async (ruleId, rule) => {
+        const { pattern, isRegex, action } = await moderationManager.updateRule(ruleId, rule || {}, user.name);
+        this.audit(AUDIT_ACTIONS.MODERATION, user, { target: ruleId, detail: { operation: 'update', pattern, isRegex, action } });
+      }));
+      socket.on('admin:remove-rule', moderate(async (ruleId) => {
+        await moderationManager.removeRule(ruleId);
+        this.audit(AUDIT_ACTIONS.MODERATION, user, { target: ruleId, detail: { operation: 'remove' } });
+      }));
+      // options: { duration（毫秒，为空表示永久）, reason }
+      socket.on('admin:mute-user', moderate(async (targetUserId, options = {}) => {
+        const target = await store.getUserById(targetUserId);
+        if(!target || authManager.adminAccounts.has(target.name)) {
+          throw new Error('不能禁言该用户');
+        }
+        await moderationManager.muteUser(target, Number(options.duration) || 0, options.reason, user.name);
+        this.audit(AUDIT_ACTIONS.MUTE, user, { target: target.name, detail: { duration: Number(options.duration) || 0, reason: options.reason || '' } });
+        console.log(`管理员 ${user.name} 禁言了用户 ${target.name}`);
+      }));
+      socket.on('admin:unmute-user', moderate(async (targetUserId) => {
+        await moderationManager.unmuteUser(targetUserId);
+        const target = await store.getUserById(targetUserId);
+        this.audit(AUDIT_ACTIONS.UNMUTE, user, { target: target ? target.name : targetUserId });
+      }));
       
       // 系统公告
       socket.on('admin:system-announce', (message) => {
@@ -210,6 +910,7 @@ const util={
           admin: user.name,
           time: new Date().getTime()
         });
+        this.audit(AUDIT_ACTIONS.ANNOUNCE, user, { detail: message });
         console.log(`管理员 ${user.name} 发布系统公告: ${message}`);
       });
       
@@ -232,10 +933,303 @@ const util={
         
         socket.emit('admin:users-list', adminUsers);
       });
+
+      // 设置群组发言限制
+      socket.on('admin:room-restrict', adminAction(PERMISSIONS.MANAGE_ROOMS, async (roomId, restricted, posters) => {
+        const room = await roomManager.setRestriction(roomId, restricted, posters);
+        if(room) {
+          await this.broadcastRoom(room);
+          this.audit(AUDIT_ACTIONS.ROOM_RESTRICT, user, { target: room.name, detail: { restricted: room.restricted, posters: room.posters } });
+          console.log(`管理员 ${user.name} ${room.restricted ? '开启' : '关闭'}了群组<${room.name}>的发言限制`);
+        } else {
+          socket.emit('admin:error', '群组不存在');
+        }
+      }));
+
+      // 设备管理：设备记录、相似度对比、重置/转移设备、审核被拦截的注册
+      const manageDevices = (handler) => async (...args) => {
+        if(!authManager.hasPermission(user.role, PERMISSIONS.MANAGE_DEVICES)) {
+          socket.emit('admin:error', '权限不足');
+          return;
+        }
+        try {
+          await handler(...args);
+        } catch (error) {
+          socket.emit('admin:error', error.message);
+        }
+      };
+      const sendDevices = async () => {
+        const records = await fingerprintManager.getAllFingerprintRecords();
+        const registrations = await fingerprintManager.getRegistrations('pending');
+        socket.emit('admin:devices', {
+          records: records.map(record => fingerprintManager.toSummary(record)),
+          registrations: registrations.map(record => fingerprintManager.toSummary(record))
+        });
+      };
+      socket.on('admin:get-devices', manageDevices(sendDevices));
+      socket.on('admin:compare-devices', manageDevices(async (idA, idB) => {
+        const analysis = await fingerprintManager.compareRecords(idA, idB);
+        socket.emit('admin:device-similarity', { ids: [idA, idB], analysis });
+      }));
+      // 重置设备：删除设备记录，用户下次登录时重新绑定当前设备
+      socket.on('admin:reset-device', manageDevices(async (username) => {
+        const count = await fingerprintManager.deleteFingerprintRecord(username);
+        if(count === 0) {
+          throw new Error('该用户没有设备记录');
+        }
+        this.audit(AUDIT_ACTIONS.DEVICE, user, { target: username, detail: { operation: 'reset' } });
+        await sendDevices();
+      }));
+      socket.on('admin:reassign-device', manageDevices(async (recordId, username) => {
+        if(!username || !await store.getUserByName(username)) {
+          throw new Error('用户不存在');
+        }
+        const count = await fingerprintManager.reassignFingerprintRecord(recordId, username);
+        if(count === 0) {
+          throw new Error('设备记录不存在');
+        }
+        this.audit(AUDIT_ACTIONS.DEVICE, user, { target: username, detail: { operation: 'reassign', recordId } });
+        await sendDevices();
+      }));
+      socket.on('admin:review-registration', manageDevices(async (registrationId, approved) => {
+        const count = await fingerprintManager.reviewRegistration(registrationId, approved, user.name);
+        if(count === 0) {
+          throw new Error('注册申请不存在或已处理');
+        }
+        this.audit(AUDIT_ACTIONS.DEVICE, user, {
+          target: registrationId,
+          detail: { operation: approved ? 'approve_registration' : 'reject_registration' }
+        });
+        await sendDevices();
+      }));
+
+      // 重置密码：为用户生成一次性重置码，由管理员转交给用户在登录页使用
+      socket.on('admin:reset-password', adminAction(PERMISSIONS.RESET_PASSWORD, async (username) => {
+        const account = typeof username === 'string' ? await store.getUserByName(username) : null;
+        if(!account) {
+          socket.emit('admin:error', '用户不存在');
+          return;
+        }
+        // 管理员记录没有密码，其密码在ADMIN_ACCOUNTS中配置
+        if(!account.password) {
+          socket.emit('admin:error', '不能重置管理员账户的密码');
+          return;
+        }
+        const { code, expiresAt } = await store.createResetCode(account);
+        this.audit(AUDIT_ACTIONS.PASSWORD, user, { target: account.name, detail: { operation: 'reset_code' } });
+        console.log(`管理员 ${user.name} 为用户<${account.name}>生成了密码重置码`);
+        socket.emit('admin:reset-code', { name: account.name, code, expiresAt });
+      }));
+
+      // 撤销用户的所有登录会话，用户需要重新输入密码登录
+      socket.on('admin:revoke-sessions', adminAction(PERMISSIONS.REVOKE_SESSIONS, async (username) => {
+        const account = typeof username === 'string' ? await store.getUserByName(username) : null;
+        if(!account || !account.id) {
+          socket.emit('admin:error', '用户不存在');
+          return;
+        }
+        const count = await this.revokeSessions(account.id, '登录会话已被管理员撤销，请重新登录', socket);
+        this.audit(AUDIT_ACTIONS.SESSION, user, { target: account.name, detail: { operation: 'revoke_all', count } });
+        console.log(`管理员 ${user.name} 撤销了用户<${account.name}>的${count}个会话`);
+        socket.emit('admin:sessions-revoked', { name: account.name, count });
+      }));
+
+      // 登录锁定：查看被锁定或有失败记录的账户和IP，解除锁定
+      const manageLockouts = (handler) => async (...args) => {
+        if(!authManager.hasPermission(user.role, PERMISSIONS.MANAGE_LOCKOUTS)) {
+          socket.emit('admin:error', '权限不足');
+          return;
+        }
+        try {
+          await handler(...args);
+          socket.emit('admin:lockouts', await loginGuard.getLockouts());
+        } catch (error) {
+          socket.emit('admin:error', error.message);
+        }
+      };
+      socket.on('admin:get-lockouts', manageLockouts(async () => {}));
+      socket.on('admin:clear-lockout', manageLockouts(async (key) => {
+        if(!await loginGuard.clear(key)) {
+          socket.emit('admin:error', '锁定记录不存在');
+          return;
+        }
+        this.audit(AUDIT_ACTIONS.UNLOCK, user, { target: key });
+        console.log(`管理员 ${user.name} 解除了<${key}>的登录锁定`);
+      }));
+
+      // 上传空间：按用户统计使用情况，立即清理过期和没有被消息引用的文件
+      const manageUploads = (handler) => async (...args) => {
+        if(!authManager.hasPermission(user.role, PERMISSIONS.MANAGE_UPLOADS)) {
+          socket.emit('admin:error', '权限不足');
+          return;
+        }
+        try {
+          await handler(...args);
+          const report = await uploadManager.getStorageReport();
+          const accounts = await store.getUsersByIds(report.users.map(item => item.userId));
+          report.users.forEach((item) => {
+            const account = accounts.find(account => account.id === item.userId);
+            item.name = account ? account.name : '已删除的用户';
+          });
+          socket.emit('admin:storage', report);
+        } catch (error) {
+          socket.emit('admin:error', error.message);
+        }
+      };
+      socket.on('admin:get-storage', manageUploads(async () => {}));
+      socket.on('admin:cleanup-uploads', manageUploads(async () => {
+        const { count, size } = await uploadManager.cleanup();
+        this.audit(AUDIT_ACTIONS.UPLOAD, user, { detail: { operation: 'cleanup', count, size } });
+        console.log(`管理员 ${user.name} 清理了${count}个上传文件`);
+        socket.emit('admin:uploads-cleaned', { count, size });
+      }));
+
+      // 查询审计日志，filters: { action, user, from, to, page, limit }
+      socket.on('admin:get-logs', async (filters = {}) => {
+        if(!authManager.hasPermission(user.role, PERMISSIONS.VIEW_LOGS)) {
+          socket.emit('admin:error', '权限不足');
+          return;
+        }
+        socket.emit('admin:logs', await auditManager.query(filters || {}));
+      });
     }
     const users=await this.getOnlineUsers(user);
     socket.user=user;
     socket.emit('loginSuccess', data, users);
+    await this.flushPendingMessages(user, socket);
+  },
+  // 按顺序投递用户离线期间收到的消息，并通知在线的发送者
+  async flushPendingMessages(user, socket) {
+    const docs = await store.getPendingMessages(user.id);
+    if(docs.length === 0) {
+      return;
+    }
+    docs.forEach((doc) => {
+      const from = { id: doc.fromId, name: doc.fromName, avatarUrl: doc.fromAvatar, type: 'user' };
+      this.deliverMessage(socket, from, this.toPublicUser(user), doc);
+    });
+    console.log(`已向用户<${user.name}>投递${docs.length}条离线消息`);
+  },
+  // 发送私聊消息
+  async sendPrivateMessage(socket, toId, message, type, fields = {}) {
+    const recipient = await this.findRecipient(toId);
+    if(!recipient) {
+      return { error: '用户不存在' };
+    }
+    // 检查权限：普通用户只能与管理员私聊，接收者的角色以服务端记录为准
+    if(!socket.user.isAdmin && !recipient.user.isAdmin) {
+      return { error: '您只能与管理员私聊' };
+    }
+    const to = this.toPublicUser(recipient.user);
+    // 消息以sent状态入库，对方不在线时留在离线队列中，等待其下次登录时投递
+    const doc = await store.saveMessage(socket.user, to, message, type, {
+      ...fields,
+      status: store.MESSAGE_STATUS.SENT
+    });
+    if(recipient.socket) {
+      this.deliverMessage(recipient.socket, this.toPublicUser(socket.user), to, doc);
+    }
+    return { _id: doc._id, time: doc.time, status: doc.status, file: doc.file };
+  },
+  // 向接收者推送消息，接收者确认后标记为已送达并通知发送者
+  deliverMessage(target, from, to, doc) {
+    const meta = { _id: doc._id, time: doc.time, file: doc.file };
+    target.timeout(DELIVERY_TIMEOUT).emit('message', from, to, doc.content, doc.type, meta, async (err) => {
+      if(err) {
+        // 超时未确认的消息留在离线队列中，下次登录时重新投递
+        return;
+      }
+      const ids = await store.updateMessageStatus([doc._id], store.MESSAGE_STATUS.DELIVERED);
+      const sender = ids.length > 0 && await this.findUserSocket(doc.fromId);
+      if(sender) {
+        sender.emit('message-status', doc.toId, ids, store.MESSAGE_STATUS.DELIVERED);
+      }
+    });
+  },
+  // 撤回或删除消息，通知会话双方（群聊为群组成员）把消息替换为占位提示
+  async removeMessage(doc, by, socket) {
+    await store.removeMessage(doc._id, by);
+    if(doc.type === 'image' && store.isLegacyImage(doc.content)) {
+      // 旧版本通过socket发送的图片没有上传记录，没有消息引用时直接删除文件
+      await store.removeUnusedImage(doc.content);
+    } else if(ATTACHMENT_ERRORS[doc.type]) {
+      await uploadManager.releaseReference(doc.content);
+    }
+    const payload = {
+      _id: doc._id,
+      fromId: doc.fromId,
+      toId: doc.toId,
+      toType: doc.toType || 'user',
+      recalledBy: by
+    };
+    const clients = await io.fetchSockets();
+    clients.forEach((client) => {
+      if(!client.user) {
+        return;
+      }
+      const isTarget = client.id === socket.id || (payload.toType === 'group'
+        ? client.rooms.has(doc.toId)
+        : client.user.id === doc.fromId || client.user.id === doc.toId);
+      if(isTarget) {
+        client.emit('message-removed', payload);
+      }
+    });
+  },
+  // 检查消息内容：文本为字符串，图片、文件为自己上传的对应类型的上传记录ID
+  // 返回随消息保存的字段，内容无效时返回null
+  async checkContent(user, content, type) {
+    if(type === 'text') {
+      return typeof content === 'string' && content !== '' ? {} : null;
+    }
+    if(!ATTACHMENT_ERRORS[type]) {
+      return null;
+    }
+    const file = await uploadManager.getFile(content);
+    if(!file || file.ownerId !== user.id || file.kind !== type) {
+      return null;
+    }
+    // 文件消息保存文件名、大小和类型，图片消息另外保存宽高，客户端加载前按宽高占位，语音消息另外保存时长
+    const { name, size, mime, width, height, duration } = uploadManager.toSummary(file);
+    if(type === 'image') {
+      return { file: { name, size, mime, width, height } };
+    }
+    return { file: type === 'voice' ? { name, size, mime, duration } : { name, size, mime } };
+  },
+  // 查找私聊接收者：在线时使用连接上保存的用户，离线时从用户库中查找并确定角色
+  async findRecipient(userId) {
+    const target = await this.findUserSocket(userId);
+    if(target) {
+      return { user: target.user, socket: target };
+    }
+    const account = await store.getUserById(userId);
+    if(!account) {
+      return null;
+    }
+    const role = authManager.getAccountRole(account);
+    return {
+      user: { id: account.id, name: account.name, avatarUrl: account.avatarUrl, type: 'user', role, isAdmin: role === USER_ROLES.ADMIN },
+      socket: null
+    };
+  },
+  // 查找在线用户的socket
+  async findUserSocket(userId) {
+    const clients = await io.fetchSockets();
+    return clients.find(client => client.user && client.user.id === userId) || null;
+  },
+  // 发送群组消息
+  async sendRoomMessage(socket, roomId, message, type, fields = {}) {
+    const room = await roomManager.getRoom(roomId);
+    if(!room || !roomManager.isMember(room, socket.user.id)) {
+      return { error: '您不是该群组成员' };
+    }
+    if(!roomManager.canPost(room, socket.user)) {
+      return { error: '该群组已开启发言限制，您暂时不能发言' };
+    }
+    const to = roomManager.toSession(room);
+    // 保存群聊消息，toId为群组ID
+    const doc = await store.saveMessage(socket.user, to, message, type, fields);
+    socket.to(room.id).emit('message', this.toPublicUser(socket.user), to, doc.content, type, { _id: doc._id, time: doc.time, file: doc.file });
+    return { _id: doc._id, time: doc.time, file: doc.file };
   },
   //根据useragent判读设备类型
   getDeviceType(userAgent){
@@ -262,17 +1256,17 @@ const util={
       if(item.user){
         // 如果当前用户是管理员，可以看到所有用户
         if(currentUser && currentUser.isAdmin) {
-          users.push(item.user);
+          users.push(this.toPublicUser(item.user));
         }
         // 如果当前用户是普通用户，只能看到管理员
         else if(currentUser && !currentUser.isAdmin) {
           if(item.user.isAdmin) {
-            users.push(item.user);
+            users.push(this.toPublicUser(item.user));
           }
         }
         // 如果没有指定当前用户，返回所有用户（用于系统内部调用）
         else if(!currentUser) {
-          users.push(item.user);
+          users.push(this.toPublicUser(item.user));
         }
       }
     });
@@ -301,42 +1295,78 @@ io.sockets.on('connection',(socket)=>{
         // 管理员退出时，向所有用户广播
         clients.forEach((client) => {
           if(client.user) {
-            client.emit('system', socket.user, 'logout');
+            client.emit('system', util.toPublicUser(socket.user), 'logout');
           }
         });
       } else {
         // 普通用户退出时，只向管理员广播
         clients.forEach((client) => {
           if(client.user && client.user.isAdmin) {
-            client.emit('system', socket.user, 'logout');
+            client.emit('system', util.toPublicUser(socket.user), 'logout');
           }
         });
       }
       store.saveUser(socket.user,'logout')
+      util.audit(AUDIT_ACTIONS.LOGOUT, socket.user, { detail: reason })
     }
     console.log(reason)
   });
-  //判断链接用户是否已经登录
-  if(user&&user.id){
-    //已登录的用户重新登录
-    util.login(user,socket,true);
-  }else {
+  // 登录、注册等异步处理出错（如数据库、密码校验失败）时通知客户端，避免未处理的Promise拒绝
+  const handleError = (promise, event) => promise.catch((error) => {
+    console.error('处理登录请求失败:', error);
+    socket.emit(event, '服务器错误，请稍后重试');
+  });
+  //未登录的连接监听登录、注册等事件
+  const listenGuest = () => {
     //监听用户登录事件
     socket.on('login',(user)=>{
-      util.login(user,socket,false)
+      handleError(util.login(util.readForm(user),socket,false), 'loginFail');
     });
-    
+
+    //监听用户注册事件
+    socket.on('register',(user)=>{
+      handleError(util.register(util.readForm(user),socket), 'registerFail');
+    });
+
+    //监听重置密码事件
+    socket.on('reset-password',(form)=>{
+      handleError(util.resetPassword(form,socket), 'resetPasswordFail');
+    });
+  
     //监听token登录事件
     socket.on('tokenLogin', (token) => {
       const decode = jwt.decode(token);
       if(decode && decode.data) {
         // token有效，使用解码的用户信息重新登录
-        util.login(decode.data, socket, true);
+        handleError(util.login(decode.data, socket, true), 'tokenLoginFail');
       } else {
-        // token无效或过期
-        socket.emit('tokenLoginFail', 'Token已过期或无效');
+        // token无效或过期，客户端可以再使用刷新token登录
+        socket.emit('tokenLoginFail', 'Token已过期或无效', AUTH_ERRORS.TOKEN_EXPIRED);
       }
     });
+
+    //监听刷新token登录事件
+    socket.on('session:refresh', (refreshToken) => {
+      handleError(util.refreshLogin(refreshToken, socket), 'tokenLoginFail');
+    });
+  };
+  //判断链接用户是否已经登录
+  if(user&&user.id){
+    //已登录的用户重新登录，token失效（会话被撤销、封禁等）时改为等待用户重新登录
+    handleError(util.login(user,socket,true), 'tokenLoginFail').then(() => {
+      if(!socket.user) {
+        listenGuest();
+      }
+    });
+  }else {
+    listenGuest();
   }
 });
+/**
+ * 设置上传管理器，与HTTP上传和下载路由共用，需要在attach之前调用
+ * @param {UploadManager} manager - 上传管理器
+ */
+io.setUploadManager = (manager) => {
+  uploadManager = manager;
+};
 module.exports=io;
@@ -1,6 +1,9 @@
 const JWT=require("jsonwebtoken");
 const dotenv = require('dotenv');
+const { getSessionConfig } = require('./session');
 dotenv.config();
+// 访问token的有效期（秒），过期后客户端使用刷新token换发
+const ACCESS_TOKEN_TTL = Math.round(getSessionConfig().accessTokenTTL / 1000);
 
 const auth={
   secret: process.env.JWT_SECRET || "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9",
@@ -24,10 +27,16 @@ const auth={
       role: user.role,
       avatarUrl: user.avatarUrl,
       deviceType: user.deviceType,
-      ip: user.ip
+      ip: user.ip,
+      // 登录所用的已信任设备，设备被移除后token登录失效
+      deviceId: user.deviceId || null,
+      // 会话版本，修改或重置密码后递增，旧token随之失效
+      sessionVersion: user.sessionVersion || 0,
+      // 服务端保存的登录会话，会话被撤销后token登录失效
+      sessionId: user.sessionId || null
     };
     return JWT.sign({data: tokenData}, this.secret, {
-      expiresIn: "1d"
+      expiresIn: ACCESS_TOKEN_TTL
     });
   }
 };
@@ -0,0 +1,228 @@
+const db = require('./db');
+const dotenv = require('dotenv');
+dotenv.config();
+
+// 计数的对象：账户名和IP分别计数，任一被锁定都不能登录
+const GUARD_SCOPES = {
+  ACCOUNT: 'account',
+  IP: 'ip'
+};
+// 连续失败清零前的锁定次数保留时间，超过后锁定时长重新从基础时长开始，记录也随之清理
+const LOCK_COUNT_TTL = 24 * 60 * 60 * 1000;
+// 清理过期记录的间隔
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * 读取登录保护配置（单位秒的配置转换为毫秒）
+ * LOGIN_MAX_FAILURES：账户连续失败多少次后锁定，默认5
+ * LOGIN_IP_MAX_FAILURES：同一IP连续失败多少次后锁定，默认20
+ * LOGIN_LOCKOUT_SECONDS：第一次锁定的时长，之后每次翻倍，默认60
+ * LOGIN_LOCKOUT_MAX_SECONDS：锁定时长上限，默认3600
+ * LOGIN_FAILURE_WINDOW：超过该时间没有失败时计数清零，默认900
+ * @param {Object} env - 环境变量
+ * @returns {Object}
+ */
+function getGuardConfig(env = process.env) {
+  const read = (name, defaultValue) => {
+    const value = parseInt(env[name]);
+    return value > 0 ? value : defaultValue;
+  };
+  return {
+    maxFailures: {
+      [GUARD_SCOPES.ACCOUNT]: read('LOGIN_MAX_FAILURES', 5),
+      [GUARD_SCOPES.IP]: read('LOGIN_IP_MAX_FAILURES', 20)
+    },
+    lockout: read('LOGIN_LOCKOUT_SECONDS', 60) * 1000,
+    maxLockout: read('LOGIN_LOCKOUT_MAX_SECONDS', 3600) * 1000,
+    window: read('LOGIN_FAILURE_WINDOW', 900) * 1000
+  };
+}
+
+/**
+ * 登录保护
+ * 按账户和IP统计连续的登录失败，达到次数后锁定，每次锁定的时长翻倍
+ * 计数保存在内存中并同步写入数据库，服务重启后从数据库恢复
+ */
+class LoginGuard {
+  /**
+   * @param {Object} config - 配置，默认读取环境变量
+   */
+  constructor(config = getGuardConfig()) {
+    this.config = config;
+    // key -> 计数记录，key为 scope:value，如 account:bob、ip:127.0.0.1
+    this.records = new Map();
+    // key -> 正在进行的登录校验，同一账户或IP的校验依次进行
+    this.queues = new Map();
+    this.prunedAt = 0;
+    this.ready = this.load();
+  }
+
+  // 从数据库加载计数记录
+  async load() {
+    const docs = await db.lockout.find({});
+    docs.forEach(doc => this.records.set(doc.key, doc));
+    await this.prune();
+  }
+
+  // 清理已解除锁定且长时间没有失败的记录，避免尝试过的用户名无限累积
+  async prune() {
+    const now = new Date().getTime();
+    this.prunedAt = now;
+    const keys = [...this.records.values()]
+      .filter(record => record.lockedUntil <= now && now - record.lastFailure > LOCK_COUNT_TTL)
+      .map(record => record.key);
+    if (keys.length > 0) {
+      keys.forEach(key => this.records.delete(key));
+      await db.lockout.remove({ key: { $in: keys } }, { multi: true });
+    }
+  }
+
+  key(scope, value) {
+    return `${scope}:${value}`;
+  }
+
+  // 保存计数记录，写入失败只打印错误，不影响登录流程
+  save(record) {
+    const { key, scope, value, failures, lockCount, lockedUntil, lastFailure } = record;
+    return db.lockout.update(
+      { key },
+      { $set: { key, scope, value, failures, lockCount, lockedUntil, lastFailure } },
+      { upsert: true }
+    ).catch(error => console.error('保存登录失败计数失败:', error));
+  }
+
+  /**
+   * 检查账户或IP是否被锁定
+   * @param {string} username - 账户名
+   * @param {string} ip - IP地址
+   * @returns {Promise<Object|null>} - 被锁定时返回锁定时间最长的计数记录
+   */
+  async check(username, ip) {
+    await this.ready;
+    const now = new Date().getTime();
+    return [this.key(GUARD_SCOPES.ACCOUNT, username), this.key(GUARD_SCOPES.IP, ip)]
+      .map(key => this.records.get(key))
+      .filter(record => record && record.lockedUntil > now)
+      .sort((a, b) => b.lockedUntil - a.lockedUntil)[0] || null;
+  }
+
+  /**
+   * 依次执行同一账户或IP的登录校验：后到的请求等前面的校验和失败计数完成后才开始，
+   * 避免同时发出的大量登录请求都在计数之前通过锁定检查
+   * @param {string} username - 账户名
+   * @param {string} ip - IP地址
+   * @param {Function} task - 检查锁定、校验密码并记录结果的异步函数
+   * @returns {Promise<*>} - task的返回值
+   */
+  async exclusive(username, ip, task) {
+    const keys = [this.key(GUARD_SCOPES.ACCOUNT, username), this.key(GUARD_SCOPES.IP, ip)];
+    const previous = keys.map(key => this.queues.get(key));
+    let release;
+    const done = new Promise(resolve => {
+      release = resolve;
+    });
+    keys.forEach(key => this.queues.set(key, done));
+    try {
+      await Promise.all(previous);
+      return await task();
+    } finally {
+      release();
+      keys.filter(key => this.queues.get(key) === done).forEach(key => this.queues.delete(key));
+    }
+  }
+
+  /**
+   * 记录一次登录失败，用户名不存在时同样计数，避免从锁定行为判断账户是否存在
+   * @param {string} username - 账户名
+   * @param {string} ip - IP地址
+   * @returns {Promise<Object|null>} - 本次失败导致锁定时返回计数记录
+   */
+  async recordFailure(username, ip) {
+    await this.ready;
+    const now = new Date().getTime();
+    let locked = null;
+    const targets = [[GUARD_SCOPES.ACCOUNT, username], [GUARD_SCOPES.IP, ip]];
+    // 读取和修改之间没有await，并发的失败请求不会丢失计数
+    const changed = targets.map(([scope, value]) => {
+      const key = this.key(scope, value);
+      const record = this.records.get(key) || { key, scope, value, failures: 0, lockCount: 0, lockedUntil: 0 };
+      if (now - (record.lastFailure || 0) > LOCK_COUNT_TTL) {
+        record.lockCount = 0;
+      }
+      if (now - (record.lastFailure || 0) > this.config.window) {
+        record.failures = 0;
+      }
+      record.failures++;
+      record.lastFailure = now;
+      if (record.failures >= this.config.maxFailures[scope]) {
+        record.lockCount++;
+        record.lockedUntil = now + Math.min(this.config.lockout * Math.pow(2, record.lockCount - 1), this.config.maxLockout);
+        record.failures = 0;
+        if (!locked || record.lockedUntil > locked.lockedUntil) {
+          locked = record;
+        }
+      }
+      this.records.set(key, record);
+      return record;
+    });
+    await Promise.all(changed.map(record => this.save(record)));
+    if (now - this.prunedAt > PRUNE_INTERVAL) {
+      await this.prune();
+    }
+    return locked;
+  }
+
+  /**
+   * 登录成功后清除账户的失败计数，IP的计数只随时间清零，
+   * 避免攻击者用自己的账户登录来重置IP计数
+   * @param {string} username - 账户名
+   */
+  async recordSuccess(username) {
+    await this.ready;
+    const key = this.key(GUARD_SCOPES.ACCOUNT, username);
+    if (this.records.has(key)) {
+      this.records.delete(key);
+      await db.lockout.remove({ key });
+    }
+  }
+
+  /**
+   * 获取正在锁定或有失败记录的账户和IP（管理员功能）
+   * @returns {Promise<Array>}
+   */
+  async getLockouts() {
+    await this.ready;
+    const now = new Date().getTime();
+    return [...this.records.values()]
+      .filter(record => record.lockedUntil > now || (record.failures > 0 && now - record.lastFailure <= this.config.window))
+      .map(record => ({ ...record, locked: record.lockedUntil > now }))
+      .sort((a, b) => b.lastFailure - a.lastFailure);
+  }
+
+  /**
+   * 解除锁定并清除计数（管理员功能）
+   * @param {string} key - 计数记录的key
+   * @returns {Promise<boolean>} - 是否存在该记录
+   */
+  async clear(key) {
+    await this.ready;
+    if (!this.records.has(key)) {
+      return false;
+    }
+    this.records.delete(key);
+    await db.lockout.remove({ key });
+    return true;
+  }
+
+  /**
+   * 生成锁定提示
+   * @param {Object} record - 计数记录
+   * @returns {string}
+   */
+  describe(record) {
+    const minutes = Math.ceil((record.lockedUntil - new Date().getTime()) / 60000);
+    return `登录失败次数过多，请在${minutes}分钟后重试`;
+  }
+}
+
+module.exports = { LoginGuard, GUARD_SCOPES, getGuardConfig };
@@ -0,0 +1,45 @@
+/**
+ * 存储迁移：把NeDB数据文件（db/*.db）中的记录复制到当前配置的存储，记录的_id保持不变
+ * 使用方法：在.env中设置DB_DRIVER=sqlite后，在项目根目录执行 `npm run migrate:storage`
+ * 目标集合已有数据时跳过该集合，加上 `-- --force` 参数则先清空目标集合再复制
+ */
+const { COLLECTIONS, getStorageConfig, createStorage } = require('./storage');
+
+const force = process.argv.includes('--force');
+
+async function migrate() {
+  const config = getStorageConfig();
+  if (config.driver === 'nedb') {
+    throw new Error('当前存储已是NeDB，请先在.env中设置DB_DRIVER为目标存储');
+  }
+  const source = createStorage({ driver: 'nedb', dir: config.dir });
+  const target = createStorage(config);
+  console.log(`从${config.dir}迁移到${config.driver}存储`);
+
+  let total = 0;
+  for (const name of Object.values(COLLECTIONS)) {
+    const from = source.collection(name);
+    const to = target.collection(name);
+    const docs = await from.find({});
+    const existing = await to.count({});
+    if (existing > 0 && !force) {
+      console.log(`${name}：目标已有${existing}条记录，跳过`);
+      continue;
+    }
+    if (existing > 0) {
+      await to.remove({}, { multi: true });
+    }
+    if (docs.length > 0) {
+      await to.insert(docs);
+    }
+    total += docs.length;
+    console.log(`${name}：已复制${docs.length}条记录`);
+  }
+  target.close();
+  console.log(`迁移完成，共复制${total}条记录`);
+}
+
+migrate().catch((error) => {
+  console.error('迁移失败:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,55 @@
+/**
+ * 一次性迁移：为用户分配持久化ID，并把消息记录中的socket.id替换为用户ID
+ * 使用方法：在项目根目录执行 `npm run migrate:user-id`
+ */
+const db=require("./db");
+const store=require("./store");
+const { AuthManager } = require('./auth');
+
+const authManager = new AuthManager();
+
+async function migrate() {
+  // 1. 为没有持久化ID的用户分配ID
+  const users = await db.user.find({});
+  let userCount = 0;
+  for (const account of users) {
+    if (!store.isUserId(account.id)) {
+      await store.ensureUserId(account);
+      userCount++;
+    }
+  }
+  // 2. 为配置中的管理员账户建立用户记录
+  for (const name of authManager.adminAccounts.keys()) {
+    await store.ensureAdminUser({name});
+  }
+  console.log(`已为${userCount}个用户分配持久化ID`);
+
+  // 3. 根据用户名把消息中的fromId/toId替换为持久化ID
+  const idMap = new Map();
+  (await db.user.find({})).forEach(account => idMap.set(account.name, account.id));
+  const messages = await db.message.find({});
+  let messageCount = 0;
+  let unknownCount = 0;
+  for (const doc of messages) {
+    const fromId = idMap.get(doc.fromName);
+    const toId = idMap.get(doc.toName);
+    if (!fromId || !toId) {
+      unknownCount++;
+      continue;
+    }
+    if (doc.fromId !== fromId || doc.toId !== toId) {
+      await db.message.update({_id: doc._id}, {$set: {fromId, toId}});
+      messageCount++;
+    }
+  }
+  console.log(`已迁移${messageCount}条消息，${unknownCount}条消息找不到对应用户`);
+
+  // 压缩数据文件，去掉更新产生的冗余行
+  await db.user.compact();
+  await db.message.compact();
+}
+
+migrate().catch((error) => {
+  console.error('迁移失败:', error);
+  process.exitCode = 1;
+});
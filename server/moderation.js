@@ -0,0 +1,218 @@
+const db = require('./db');
+
+// 规则处理方式：mask 用*替换命中的内容，reject 拒绝发送
+const RULE_ACTIONS = {
+  MASK: 'mask',
+  REJECT: 'reject'
+};
+// 规则内容长度限制，避免过长的正则拖慢消息处理
+const RULE_PATTERN_MAX_LENGTH = 200;
+
+/**
+ * 聊天审核管理器
+ * 每条消息入库前依次检查禁言状态和屏蔽词规则，规则和禁言记录持久化在NeDB中
+ */
+class ModerationManager {
+  constructor() {
+    // 规则在每条消息上都会用到，缓存编译后的正则，修改规则时刷新
+    this.rules = [];
+    this.ready = this.loadRules();
+  }
+
+  /**
+   * 从数据库加载规则并编译
+   * @returns {Promise<void>}
+   */
+  async loadRules() {
+    const docs = await db.rule.find({}, { sort: { createdAt: 1 } });
+    this.rules = docs.map(rule => ({ rule, regex: this.compile(rule) }));
+  }
+
+  /**
+   * 把规则编译为正则，关键词按字面匹配
+   * @param {Object} rule - 规则
+   * @returns {RegExp}
+   */
+  compile(rule) {
+    const source = rule.isRegex
+      ? rule.pattern
+      : rule.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(source, 'gi');
+  }
+
+  /**
+   * 校验规则参数
+   * @param {Object} rule - 规则
+   * @returns {Object} - 规范化后的规则字段
+   */
+  normalizeRule({ pattern, isRegex, action }) {
+    pattern = typeof pattern === 'string' ? pattern.trim() : '';
+    if (!pattern || pattern.length > RULE_PATTERN_MAX_LENGTH) {
+      throw new Error(`规则内容长度必须在1-${RULE_PATTERN_MAX_LENGTH}个字符之间`);
+    }
+    if (!Object.values(RULE_ACTIONS).includes(action)) {
+      throw new Error('无效的处理方式');
+    }
+    const rule = { pattern, isRegex: !!isRegex, action };
+    try {
+      this.compile(rule);
+    } catch (error) {
+      throw new Error('正则表达式格式错误');
+    }
+    return rule;
+  }
+
+  /**
+   * 添加屏蔽规则
+   * @param {Object} rule - 规则
+   * @param {string} rule.pattern - 关键词或正则表达式
+   * @param {boolean} rule.isRegex - 是否为正则表达式
+   * @param {string} rule.action - 处理方式：mask 或 reject
+   * @param {string} admin - 添加规则的管理员
+   * @returns {Promise<Object>} - 新建的规则
+   */
+  async addRule(rule, admin) {
+    const doc = {
+      ...this.normalizeRule(rule),
+      admin,
+      createdAt: new Date().getTime()
+    };
+    const newDoc = await db.rule.insert(doc);
+    await this.loadRules();
+    return newDoc;
+  }
+
+  /**
+   * 修改屏蔽规则
+   * @param {string} id - 规则ID
+   * @param {Object} rule - 新的规则内容
+   * @param {string} admin - 修改规则的管理员
+   * @returns {Promise<Object>} - 保存的规则字段
+   */
+  async updateRule(id, rule, admin) {
+    const fields = { ...this.normalizeRule(rule), admin, updatedAt: new Date().getTime() };
+    const { numAffected } = typeof id === 'string'
+      ? await db.rule.update({ _id: id }, { $set: fields })
+      : { numAffected: 0 };
+    if (numAffected === 0) {
+      throw new Error('规则不存在');
+    }
+    await this.loadRules();
+    return fields;
+  }
+
+  /**
+   * 删除屏蔽规则
+   * @param {string} id - 规则ID
+   * @returns {Promise<void>}
+   */
+  async removeRule(id) {
+    const numRemoved = await db.rule.remove({ _id: id });
+    if (numRemoved === 0) {
+      throw new Error('规则不存在');
+    }
+    await this.loadRules();
+  }
+
+  /**
+   * 获取所有规则（不含编译后的正则）
+   * @returns {Promise<Array>}
+   */
+  async getRules() {
+    await this.ready;
+    return this.rules.map(item => item.rule);
+  }
+
+  /**
+   * 禁言用户，同一用户的禁言会被覆盖
+   * @param {Object} target - 被禁言的用户
+   * @param {number} duration - 禁言时长（毫秒），为空表示永久禁言
+   * @param {string} reason - 禁言原因
+   * @param {string} admin - 执行禁言的管理员
+   * @returns {Promise<Object>} - 禁言记录
+   */
+  async muteUser(target, duration, reason, admin) {
+    const now = new Date().getTime();
+    const mute = {
+      userId: target.id,
+      username: target.name,
+      reason: reason || '',
+      admin,
+      createdAt: now,
+      expiresAt: duration > 0 ? now + duration : null
+    };
+    await db.mute.update({ userId: target.id }, mute, { upsert: true });
+    return mute;
+  }
+
+  /**
+   * 解除禁言
+   * @param {string} userId - 用户ID
+   * @returns {Promise<number>} - 解除的禁言数
+   */
+  async unmuteUser(userId) {
+    return db.mute.remove({ userId }, { multi: true });
+  }
+
+  /**
+   * 获取用户生效中的禁言
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object|null>}
+   */
+  async getMute(userId) {
+    const now = new Date().getTime();
+    return db.mute.findOne({
+      userId,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    });
+  }
+
+  /**
+   * 获取所有生效中的禁言
+   * @returns {Promise<Array>}
+   */
+  async getMutes() {
+    const now = new Date().getTime();
+    return db.mute.find({
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }, { sort: { createdAt: -1 } });
+  }
+
+  /**
+   * 审核一条消息
+   * @param {Object} user - 发送者
+   * @param {string} content - 消息内容
+   * @param {string} type - 消息类型
+   * @returns {Promise<Object>} - { allowed, content, error }
+   */
+  async check(user, content, type) {
+    await this.ready;
+    if (!user.isAdmin) {
+      const mute = await this.getMute(user.id);
+      if (mute) {
+        const until = mute.expiresAt
+          ? `，解除时间：${new Date(mute.expiresAt).toLocaleString('zh-CN')}`
+          : '';
+        return { allowed: false, error: `您已被管理员禁言${until}` };
+      }
+    }
+    // 屏蔽词只作用于文本消息
+    if (type !== 'text' || typeof content !== 'string') {
+      return { allowed: true, content };
+    }
+    let result = content;
+    for (const { rule, regex } of this.rules) {
+      regex.lastIndex = 0;
+      if (!regex.test(result)) {
+        continue;
+      }
+      if (rule.action === RULE_ACTIONS.REJECT) {
+        return { allowed: false, error: '消息包含违禁内容，发送失败' };
+      }
+      result = result.replace(regex, match => '*'.repeat(match.length));
+    }
+    return { allowed: true, content: result };
+  }
+}
+
+module.exports = ModerationManager;
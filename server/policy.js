@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config();
+
+// 策略文件默认位置，可通过环境变量ANTI_ABUSE_POLICY_FILE指定
+const DEFAULT_POLICY_FILE = './config/anti-abuse.json';
+
+// 注册防滥用规则：
+// privateMode 拒绝隐私浏览模式；ipLimit 限制同一IP可注册的账户数；
+// exactDevice 拒绝完全相同的设备；similarDevice 拒绝高度相似的设备
+const POLICY_RULES = ['privateMode', 'ipLimit', 'exactDevice', 'similarDevice'];
+
+// 默认策略，与未引入策略配置前的行为一致
+const DEFAULT_POLICY = {
+  rules: {
+    privateMode: true,
+    ipLimit: true,
+    exactDevice: true,
+    similarDevice: true
+  },
+  // 同一IP可注册的账户数，0表示不限制
+  accountsPerIP: 1,
+  // 不受IP账户数限制的IP或CIDR网段，例如共用出口IP的内网
+  ipAllowlist: [],
+  thresholds: {
+    // 达到该相似度记录警告
+    suspicious: 0.4,
+    // 达到该相似度拒绝注册
+    reject: 0.5,
+    // 登录时达到该相似度视为同一台设备
+    login: 0.7
+  },
+  // 相似度检测中各项设备特征的权重，为0表示不参与比对
+  weights: {
+    userAgent: 2,
+    screenResolution: 3,
+    timezone: 2,
+    hardwareConcurrency: 3,
+    deviceMemory: 3,
+    canvasFingerprint: 4,
+    webglVendor: 3,
+    webglRenderer: 3,
+    audioFingerprint: 4,
+    fonts: 2,
+    'fingerprintjs.visitorId': 5
+  }
+};
+
+/**
+ * 把IPv4地址转换为32位整数，无法解析时返回null
+ * @param {string} ip - IPv4地址
+ * @returns {number|null}
+ */
+function ipv4ToInt(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) {
+    return null;
+  }
+  let value = 0;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part) || Number(part) > 255) {
+      return null;
+    }
+    value = value * 256 + Number(part);
+  }
+  return value;
+}
+
+/**
+ * 规范化客户端IP：取代理转发链中的第一个地址，去掉IPv4映射前缀
+ * @param {string} ip - IP地址
+ * @returns {string}
+ */
+function normalizeIP(ip) {
+  return String(ip || '').split(',')[0].trim().replace(/^::ffff:/, '');
+}
+
+/**
+ * 判断IP是否匹配单个IP或CIDR网段，IPv6只支持精确匹配
+ * @param {string} ip - IP地址
+ * @param {string} entry - IP或CIDR网段，如 10.0.0.0/8
+ * @returns {boolean}
+ */
+function matchIP(ip, entry) {
+  ip = normalizeIP(ip);
+  const [network, bits] = String(entry).trim().split('/');
+  if (bits === undefined) {
+    return ip === normalizeIP(network);
+  }
+  const ipValue = ipv4ToInt(ip);
+  const networkValue = ipv4ToInt(network);
+  const prefix = Number(bits);
+  if (ipValue === null || networkValue === null || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+    return false;
+  }
+  // 避免位运算的符号问题，用除法比较网络前缀
+  const size = Math.pow(2, 32 - prefix);
+  return Math.floor(ipValue / size) === Math.floor(networkValue / size);
+}
+
+/**
+ * 解析逗号分隔的 key=value 列表
+ * @param {string} value - 如 "ipLimit=false,privateMode=true"
+ * @returns {Object}
+ */
+function parsePairs(value) {
+  const result = {};
+  value.split(',').forEach(pair => {
+    const [key, val] = pair.split('=');
+    if (key && val !== undefined) {
+      result[key.trim()] = val.trim();
+    }
+  });
+  return result;
+}
+
+/**
+ * 用配置覆盖策略，忽略未知或无效的字段
+ * @param {Object} policy - 当前策略
+ * @param {Object} config - 覆盖的配置
+ * @param {string} source - 配置来源，用于打印警告
+ * @returns {Object} - 新的策略
+ */
+function mergePolicy(policy, config, source) {
+  const result = {
+    ...policy,
+    rules: { ...policy.rules },
+    thresholds: { ...policy.thresholds },
+    weights: { ...policy.weights }
+  };
+  const warn = (field) => console.warn(`防滥用策略配置无效，已忽略：${source} ${field}`);
+
+  Object.keys(config.rules || {}).forEach(rule => {
+    const value = config.rules[rule];
+    if (!POLICY_RULES.includes(rule)) {
+      warn(`rules.${rule}`);
+    } else if (typeof value === 'boolean' || value === 'true' || value === 'false') {
+      result.rules[rule] = value === true || value === 'true';
+    } else {
+      warn(`rules.${rule}`);
+    }
+  });
+  if (config.accountsPerIP !== undefined) {
+    const value = Number(config.accountsPerIP);
+    if (Number.isInteger(value) && value >= 0) {
+      result.accountsPerIP = value;
+    } else {
+      warn('accountsPerIP');
+    }
+  }
+  if (config.ipAllowlist !== undefined) {
+    const list = typeof config.ipAllowlist === 'string' ? config.ipAllowlist.split(',') : config.ipAllowlist;
+    if (Array.isArray(list)) {
+      result.ipAllowlist = list.map(entry => String(entry).trim()).filter(Boolean);
+    } else {
+      warn('ipAllowlist');
+    }
+  }
+  Object.keys(config.thresholds || {}).forEach(name => {
+    const value = Number(config.thresholds[name]);
+    if (name in result.thresholds && value >= 0 && value <= 1) {
+      result.thresholds[name] = value;
+    } else {
+      warn(`thresholds.${name}`);
+    }
+  });
+  Object.keys(config.weights || {}).forEach(feature => {
+    const value = Number(config.weights[feature]);
+    if (feature in result.weights && value >= 0) {
+      result.weights[feature] = value;
+    } else {
+      warn(`weights.${feature}`);
+    }
+  });
+  return result;
+}
+
+/**
+ * 读取环境变量中的策略覆盖项
+ * @param {Object} env - 环境变量
+ * @returns {Object}
+ */
+function readEnvConfig(env) {
+  const config = {};
+  if (env.POLICY_RULES) {
+    config.rules = parsePairs(env.POLICY_RULES);
+  }
+  if (env.POLICY_ACCOUNTS_PER_IP !== undefined && env.POLICY_ACCOUNTS_PER_IP !== '') {
+    config.accountsPerIP = env.POLICY_ACCOUNTS_PER_IP;
+  }
+  if (env.POLICY_IP_ALLOWLIST !== undefined) {
+    config.ipAllowlist = env.POLICY_IP_ALLOWLIST;
+  }
+  const thresholds = {
+    suspicious: env.POLICY_SUSPICIOUS_THRESHOLD,
+    reject: env.POLICY_REJECT_THRESHOLD,
+    login: env.POLICY_LOGIN_THRESHOLD
+  };
+  Object.keys(thresholds).forEach(name => {
+    if (thresholds[name] !== undefined && thresholds[name] !== '') {
+      config.thresholds = { ...config.thresholds, [name]: thresholds[name] };
+    }
+  });
+  if (env.POLICY_WEIGHTS) {
+    config.weights = parsePairs(env.POLICY_WEIGHTS);
+  }
+  return config;
+}
+
+/**
+ * 加载防滥用策略：默认值 < 策略文件 < 环境变量
+ * @param {Object} env - 环境变量，默认为process.env
+ * @returns {Object} - 策略
+ */
+function loadPolicy(env = process.env) {
+  let policy = DEFAULT_POLICY;
+  const file = path.resolve(env.ANTI_ABUSE_POLICY_FILE || DEFAULT_POLICY_FILE);
+  if (fs.existsSync(file)) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`防滥用策略文件解析失败：${file}，${error.message}`);
+    }
+    policy = mergePolicy(policy, config, file);
+  } else if (env.ANTI_ABUSE_POLICY_FILE) {
+    console.warn(`防滥用策略文件不存在：${file}，使用默认策略`);
+  }
+  return mergePolicy(policy, readEnvConfig(env), '环境变量');
+}
+
+/**
+ * 判断IP是否在策略的白名单中
+ * @param {Object} policy - 策略
+ * @param {string} ip - IP地址
+ * @returns {string|null} - 匹配的白名单条目
+ */
+function findAllowlistEntry(policy, ip) {
+  if (!ip) {
+    return null;
+  }
+  return policy.ipAllowlist.find(entry => matchIP(ip, entry)) || null;
+}
+
+module.exports = { DEFAULT_POLICY, loadPolicy, findAllowlistEntry };
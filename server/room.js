@@ -0,0 +1,184 @@
+const db = require('./db');
+const { guid } = require('./utils');
+
+// 群组默认头像
+const ROOM_AVATAR = 'static/img/avatar/group-icon.png';
+// 群组名称长度限制
+const ROOM_NAME_MAX_LENGTH = 20;
+
+/**
+ * 群组管理器
+ * 群组持久化在rooms.db中，广播使用socket.io的房间（房间名即群组ID）
+ */
+class RoomManager {
+  /**
+   * 创建群组，创建者自动成为成员
+   * @param {string} name - 群组名称
+   * @param {Object} owner - 创建者
+   * @returns {Promise<Object>} - 新建的群组记录
+   */
+  async createRoom(name, owner) {
+    name = typeof name === 'string' ? name.trim() : '';
+    if (!name || name.length > ROOM_NAME_MAX_LENGTH) {
+      throw new Error(`群组名称长度必须在1-${ROOM_NAME_MAX_LENGTH}个字符之间`);
+    }
+    const existing = await this.findOne({ name });
+    if (existing) {
+      throw new Error('该群组名称已存在');
+    }
+    const room = {
+      id: guid(),
+      name,
+      ownerId: owner.id,
+      ownerName: owner.name,
+      members: [{ id: owner.id, name: owner.name }],
+      // 开启发言限制后，只有管理员和posters中的成员可以发言
+      restricted: false,
+      posters: [],
+      createdAt: new Date().getTime()
+    };
+    return db.room.insert(room);
+  }
+
+  /**
+   * 查找单个群组
+   * @param {Object} query - 查询条件
+   * @returns {Promise<Object|null>}
+   */
+  async findOne(query) {
+    return db.room.findOne(query);
+  }
+
+  /**
+   * 根据ID获取群组，ID不是字符串时返回null，避免把查询操作符带入数据库查询
+   * @param {string} id - 群组ID
+   * @returns {Promise<Object|null>}
+   */
+  async getRoom(id) {
+    if (typeof id !== 'string') {
+      return null;
+    }
+    return this.findOne({ id });
+  }
+
+  /**
+   * 获取所有群组
+   * @returns {Promise<Array>}
+   */
+  async getRooms() {
+    return db.room.find({}, { sort: { createdAt: 1 } });
+  }
+
+  /**
+   * 获取用户加入的群组
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Array>}
+   */
+  async getUserRooms(userId) {
+    return db.room.find({ 'members.id': userId });
+  }
+
+  /**
+   * 更新群组并返回最新记录
+   * @param {string} id - 群组ID
+   * @param {Object} update - 更新语句（NeDB语法）
+   * @returns {Promise<Object|null>}
+   */
+  async updateRoom(id, update) {
+    const { affectedDocuments } = await db.room.update({ id }, update, { returnUpdatedDocs: true });
+    return affectedDocuments || null;
+  }
+
+  /**
+   * 加入群组
+   * @param {string} id - 群组ID
+   * @param {Object} user - 用户
+   * @returns {Promise<Object>} - 更新后的群组
+   */
+  async joinRoom(id, user) {
+    const room = await this.getRoom(id);
+    if (!room) {
+      throw new Error('群组不存在');
+    }
+    if (this.isMember(room, user.id)) {
+      return room;
+    }
+    return this.updateRoom(id, { $push: { members: { id: user.id, name: user.name } } });
+  }
+
+  /**
+   * 退出群组
+   * @param {string} id - 群组ID
+   * @param {Object} user - 用户
+   * @returns {Promise<Object>} - 更新后的群组
+   */
+  async leaveRoom(id, user) {
+    const room = await this.getRoom(id);
+    if (!room || !this.isMember(room, user.id)) {
+      throw new Error('您不是该群组成员');
+    }
+    return this.updateRoom(id, { $pull: { members: { id: user.id }, posters: user.id } });
+  }
+
+  /**
+   * 设置群组发言限制（管理员功能）
+   * @param {string} id - 群组ID
+   * @param {boolean} restricted - 是否开启限制
+   * @param {Array<string>} posters - 允许发言的成员ID
+   * @returns {Promise<Object|null>} - 更新后的群组
+   */
+  async setRestriction(id, restricted, posters = []) {
+    if (typeof id !== 'string') {
+      return null;
+    }
+    return this.updateRoom(id, {
+      $set: {
+        restricted: !!restricted,
+        posters: Array.isArray(posters) ? posters.filter(poster => typeof poster === 'string') : []
+      }
+    });
+  }
+
+  /**
+   * 判断用户是否为群组成员
+   * @param {Object} room - 群组
+   * @param {string} userId - 用户ID
+   * @returns {boolean}
+   */
+  isMember(room, userId) {
+    return room.members.some(member => member.id === userId);
+  }
+
+  /**
+   * 判断用户是否可以在群组中发言
+   * @param {Object} room - 群组
+   * @param {Object} user - 用户
+   * @returns {boolean}
+   */
+  canPost(room, user) {
+    if (!this.isMember(room, user.id)) {
+      return false;
+    }
+    return !room.restricted || user.isAdmin || room.posters.includes(user.id);
+  }
+
+  /**
+   * 转换为前端会话结构
+   * @param {Object} room - 群组
+   * @returns {Object}
+   */
+  toSession(room) {
+    return {
+      id: room.id,
+      name: room.name,
+      type: 'group',
+      avatarUrl: ROOM_AVATAR,
+      ownerId: room.ownerId,
+      members: room.members,
+      restricted: room.restricted,
+      posters: room.posters
+    };
+  }
+}
+
+module.exports = RoomManager;
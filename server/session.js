@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const db = require('./db');
+const dotenv = require('dotenv');
+dotenv.config();
+
+/**
+ * 读取会话配置（单位秒的配置转换为毫秒）
+ * ACCESS_TOKEN_TTL：访问token的有效期，默认900
+ * REFRESH_TOKEN_TTL：刷新token的有效期，超过该时间没有刷新时会话过期，默认2592000（30天）
+ * @param {Object} env - 环境变量
+ * @returns {Object}
+ */
+function getSessionConfig(env = process.env) {
+  const read = (name, defaultValue) => {
+    const value = parseInt(env[name]);
+    return value > 0 ? value : defaultValue;
+  };
+  return {
+    accessTokenTTL: read('ACCESS_TOKEN_TTL', 900) * 1000,
+    refreshTokenTTL: read('REFRESH_TOKEN_TTL', 30 * 24 * 60 * 60) * 1000
+  };
+}
+
+// 刷新token是高熵的随机串，使用sha256保存即可，不需要bcrypt
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * 登录会话管理器
+ * 每次登录创建一个会话，客户端持有短期的访问token（JWT，携带会话ID）和长期的刷新token，
+ * 刷新token每次使用后轮换，数据库中只保存其哈希；撤销会话后访问token和刷新token都不能再登录
+ */
+class SessionManager {
+  /**
+   * @param {Object} config - 配置，默认读取环境变量
+   */
+  constructor(config = getSessionConfig()) {
+    this.config = config;
+  }
+
+  // 刷新token的格式为 会话ID.随机串，便于按会话ID查找
+  createRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+  }
+
+  parseRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string') {
+      return null;
+    }
+    const index = refreshToken.indexOf('.');
+    if (index <= 0) {
+      return null;
+    }
+    return { sessionId: refreshToken.slice(0, index), hash: hashToken(refreshToken.slice(index + 1)) };
+  }
+
+  /**
+   * 登录成功后创建会话，同时清理该用户已过期或已撤销的会话
+   * @param {Object} user - 登录的用户，保存刷新时重新登录所需的基本信息
+   * @returns {Promise<Object>} - { session, refreshToken }
+   */
+  async createSession(user) {
+    const now = new Date().getTime();
+    await db.session.remove({
+      userId: user.id,
+      $or: [{ revoked: true }, { expiresAt: { $lt: now } }]
+    }, { multi: true });
+    const id = crypto.randomBytes(16).toString('hex');
+    const { token, hash } = this.createRefreshToken(id);
+    const session = await db.session.insert({
+      id,
+      userId: user.id,
+      username: user.name,
+      user: {
+        id: user.id,
+        name: user.name,
+        role: user.role,
+        avatarUrl: user.avatarUrl,
+        deviceId: user.deviceId || null,
+        sessionVersion: user.sessionVersion || 0
+      },
+      refreshHash: hash,
+      previousHash: null,
+      ip: user.ip,
+      deviceType: user.deviceType,
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt: now + this.config.refreshTokenTTL,
+      revoked: false
+    });
+    return { session, refreshToken: token };
+  }
+
+  /**
+   * 使用刷新token换发新的刷新token，旧的随之失效
+   * 已轮换掉的刷新token再次出现时说明token可能被盗用，撤销整个会话
+   * @param {string} refreshToken - 刷新token
+   * @returns {Promise<Object|null>} - { session, refreshToken }，token无效时返回null
+   */
+  async refresh(refreshToken) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) {
+      return null;
+    }
+    const session = await db.session.findOne({ id: parsed.sessionId });
+    const now = new Date().getTime();
+    if (!session || session.revoked || session.expiresAt < now) {
+      return null;
+    }
+    if (session.previousHash === parsed.hash) {
+      await this.revoke(session.id, 'refresh_reuse');
+      return null;
+    }
+    if (session.refreshHash !== parsed.hash) {
+      return null;
+    }
+    const next = this.createRefreshToken(session.id);
+    // 同一个刷新token并发使用时只有一次能换发成功
+    const { affectedDocuments } = await db.session.update(
+      { id: session.id, refreshHash: parsed.hash, revoked: false },
+      { $set: { refreshHash: next.hash, previousHash: parsed.hash, lastUsedAt: now, expiresAt: now + this.config.refreshTokenTTL } },
+      { returnUpdatedDocs: true }
+    );
+    if (!affectedDocuments) {
+      return null;
+    }
+    return { session: affectedDocuments, refreshToken: next.token };
+  }
+
+  /**
+   * 更新会话中保存的密码版本，修改密码后保留的当前会话刷新时仍然有效
+   * @param {string} sessionId - 会话ID
+   * @param {number} sessionVersion - 新的密码版本
+   * @returns {Promise<boolean>} - 是否更新了有效的会话
+   */
+  async updateSessionVersion(sessionId, sessionVersion) {
+    if (typeof sessionId !== 'string') {
+      return false;
+    }
+    const { numAffected } = await db.session.update(
+      { id: sessionId, revoked: false },
+      { $set: { 'user.sessionVersion': sessionVersion } }
+    );
+    return numAffected === 1;
+  }
+
+  /**
+   * 检查会话是否有效，访问token登录时使用
+   * @param {string} sessionId - 会话ID
+   * @param {string} userId - token中的用户ID，需要与会话一致
+   * @returns {Promise<boolean>}
+   */
+  async isActive(sessionId, userId) {
+    if (typeof sessionId !== 'string') {
+      return false;
+    }
+    const now = new Date().getTime();
+    const { numAffected } = await db.session.update(
+      { id: sessionId, userId, revoked: false, expiresAt: { $gte: now } },
+      { $set: { lastUsedAt: now } }
+    );
+    return numAffected === 1;
+  }
+
+  /**
+   * 撤销会话
+   * @param {string} sessionId - 会话ID
+   * @param {string} reason - 撤销原因，如logout、kick
+   * @param {string} userId - 指定时只撤销属于该用户的会话
+   * @returns {Promise<boolean>} - 是否撤销了有效的会话
+   */
+  async revoke(sessionId, reason, userId = null) {
+    if (typeof sessionId !== 'string') {
+      return false;
+    }
+    const query = { id: sessionId, revoked: false };
+    if (userId) {
+      query.userId = userId;
+    }
+    const { numAffected } = await db.session.update(query, {
+      $set: { revoked: true, revokedAt: new Date().getTime(), revokeReason: reason }
+    });
+    return numAffected === 1;
+  }
+
+  /**
+   * 撤销用户的所有会话
+   * @param {string} userId - 用户ID
+   * @param {string} reason - 撤销原因
+   * @param {string} exceptSessionId - 保留的会话，如修改密码时的当前会话
+   * @returns {Promise<number>} - 撤销的会话数
+   */
+  async revokeUser(userId, reason, exceptSessionId = null) {
+    const query = { userId, revoked: false };
+    if (exceptSessionId) {
+      query.id = { $ne: exceptSessionId };
+    }
+    const { numAffected } = await db.session.update(query, {
+      $set: { revoked: true, revokedAt: new Date().getTime(), revokeReason: reason }
+    }, { multi: true });
+    return numAffected;
+  }
+
+  /**
+   * 获取用户有效的会话，不包含刷新token的哈希
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Array>}
+   */
+  async getUserSessions(userId) {
+    const sessions = await db.session.find(
+      { userId, revoked: false, expiresAt: { $gte: new Date().getTime() } },
+      { sort: { lastUsedAt: -1 } }
+    );
+    return sessions.map(({ id, ip, deviceType, createdAt, lastUsedAt, expiresAt }) => ({
+      id, ip, deviceType, createdAt, lastUsedAt, expiresAt
+    }));
+  }
+}
+
+module.exports = { SessionManager, getSessionConfig };
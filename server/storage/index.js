@@ -0,0 +1,96 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+/**
+ * 存储接口
+ * 每种存储提供 collection(name) 和 close()，集合提供以下异步方法，查询条件和更新操作符使用NeDB的语法：
+ *   find(query, { sort, skip, limit, projection }) -> Array
+ *   findOne(query) -> Object|null
+ *   count(query) -> number
+ *   insert(doc|docs) -> Object|Array
+ *   update(query, update, { multi, upsert, returnUpdatedDocs }) -> { numAffected, affectedDocuments, upsert }
+ *   remove(query, { multi }) -> number
+ *   ensureIndex(fieldName)
+ *   compact()
+ */
+
+// 可选的存储实现
+const DRIVERS = {
+  nedb: () => require('./nedb'),
+  sqlite: () => require('./sqlite')
+};
+
+// 业务集合：db.js中的名称 -> 存储中的集合名（NeDB文件名、SQLite表名）
+const COLLECTIONS = {
+  user: 'users',
+  message: 'messages',
+  room: 'rooms',
+  ban: 'bans',
+  rule: 'rules',
+  mute: 'mutes',
+  log: 'logs',
+  fingerprint: 'fingerprints',
+  registration: 'registrations',
+  verification: 'device-verifications',
+  lockout: 'login-lockouts',
+  session: 'sessions',
+  upload: 'uploads'
+};
+
+// 各集合常用的查询字段
+const INDEXES = {
+  user: ['name', 'id'],
+  message: ['fromId', 'toId', 'time'],
+  log: ['time'],
+  fingerprint: ['fingerprintHash', 'username', 'createdAt'],
+  registration: ['username'],
+  verification: ['username'],
+  lockout: ['key'],
+  session: ['id', 'userId'],
+  upload: ['id', 'hash']
+};
+
+/**
+ * 读取存储配置：DB_DRIVER选择存储（nedb或sqlite，默认nedb），
+ * DB_DIR为NeDB数据文件目录，DB_SQLITE_FILE为SQLite数据库文件
+ * @param {Object} env - 环境变量
+ * @returns {Object}
+ */
+function getStorageConfig(env = process.env) {
+  return {
+    driver: env.DB_DRIVER || 'nedb',
+    dir: env.DB_DIR || './db',
+    file: env.DB_SQLITE_FILE || './db/chat.sqlite'
+  };
+}
+
+/**
+ * 创建存储
+ * @param {Object} config - 存储配置，默认读取环境变量
+ * @returns {Object}
+ */
+function createStorage(config = getStorageConfig()) {
+  if (!DRIVERS[config.driver]) {
+    throw new Error(`不支持的存储类型：${config.driver}，可选：${Object.keys(DRIVERS).join('、')}`);
+  }
+  const Storage = DRIVERS[config.driver]();
+  return new Storage(config);
+}
+
+/**
+ * 打开所有业务集合并建立索引
+ * @param {Object} storage - 存储
+ * @returns {Object} - 集合，键为COLLECTIONS中的名称
+ */
+function openCollections(storage) {
+  const db = {};
+  Object.keys(COLLECTIONS).forEach(key => {
+    db[key] = storage.collection(COLLECTIONS[key]);
+    (INDEXES[key] || []).forEach(fieldName => {
+      db[key].ensureIndex(fieldName).catch(error => console.error(`创建索引失败：${COLLECTIONS[key]}.${fieldName}`, error));
+    });
+  });
+  return db;
+}
+
+module.exports = { COLLECTIONS, getStorageConfig, createStorage, openCollections };
@@ -0,0 +1,114 @@
+const path = require('path');
+const Datastore = require('nedb');
+
+/**
+ * NeDB集合，把NeDB的回调API包装为存储接口
+ */
+class NedbCollection {
+  /**
+   * @param {Datastore} datastore - NeDB数据集
+   */
+  constructor(datastore) {
+    this.datastore = datastore;
+  }
+
+  call(method, ...args) {
+    return new Promise((resolve, reject) => {
+      this.datastore[method](...args, (err, ...results) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(results);
+        }
+      });
+    });
+  }
+
+  async find(query = {}, options = {}) {
+    const cursor = this.datastore.find(query, options.projection || {});
+    if (options.sort) {
+      cursor.sort(options.sort);
+    }
+    if (options.skip) {
+      cursor.skip(options.skip);
+    }
+    if (options.limit) {
+      cursor.limit(options.limit);
+    }
+    return new Promise((resolve, reject) => {
+      cursor.exec((err, docs) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(docs);
+        }
+      });
+    });
+  }
+
+  async findOne(query = {}) {
+    const [doc] = await this.call('findOne', query);
+    return doc;
+  }
+
+  async count(query = {}) {
+    const [count] = await this.call('count', query);
+    return count;
+  }
+
+  async insert(docs) {
+    const [newDocs] = await this.call('insert', docs);
+    return newDocs;
+  }
+
+  async update(query, update, options = {}) {
+    const [numAffected, affectedDocuments = null, upsert = false] = await this.call('update', query, update, options);
+    return { numAffected, affectedDocuments, upsert };
+  }
+
+  async remove(query, options = {}) {
+    const [numRemoved] = await this.call('remove', query, options);
+    return numRemoved;
+  }
+
+  async ensureIndex(fieldName) {
+    await this.call('ensureIndex', { fieldName });
+  }
+
+  // 压缩数据文件，去掉更新和删除产生的冗余行
+  async compact() {
+    if (this.datastore.inMemoryOnly) {
+      return;
+    }
+    await new Promise((resolve) => {
+      this.datastore.once('compaction.done', resolve);
+      this.datastore.persistence.compactDatafile();
+    });
+  }
+}
+
+/**
+ * NeDB存储，每个集合对应db目录下的一个.db文件
+ */
+class NedbStorage {
+  /**
+   * @param {Object} options - 配置
+   * @param {string} options.dir - 数据文件目录
+   * @param {boolean} options.inMemory - 只使用内存，不写文件
+   */
+  constructor({ dir = './db', inMemory = false } = {}) {
+    this.dir = dir;
+    this.inMemory = inMemory;
+  }
+
+  collection(name) {
+    const datastore = this.inMemory
+      ? new Datastore()
+      : new Datastore({ filename: path.join(this.dir, `${name}.db`), autoload: true });
+    return new NedbCollection(datastore);
+  }
+
+  close() {}
+}
+
+module.exports = NedbStorage;
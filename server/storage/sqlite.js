@@ -0,0 +1,363 @@
+const fs = require('fs');
+const path = require('path');
+const model = require('nedb/lib/model');
+const Cursor = require('nedb/lib/cursor');
+const { uid } = require('nedb/lib/customUtils');
+
+// 不限制查询条件的SQL片段
+const ANY = { sql: '1', params: [] };
+
+/**
+ * 打开SQLite数据库：Node.js 22.5以上使用内置的node:sqlite，否则使用better-sqlite3
+ * 两者的prepare/run/get/all/exec接口相同
+ * @param {string} filename - 数据库文件
+ */
+function openDatabase(filename) {
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(filename);
+  } catch (error) {
+    if (error.code !== 'ERR_UNKNOWN_BUILTIN_MODULE') {
+      throw error;
+    }
+  }
+  try {
+    const Database = require('better-sqlite3');
+    return new Database(filename);
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND') {
+      throw new Error('使用SQLite存储需要Node.js 22.5以上版本，或执行`npm install better-sqlite3`');
+    }
+    throw error;
+  }
+}
+
+/**
+ * 生成SQL中的字符串字面量
+ * @param {string} value - 字符串
+ * @returns {string}
+ */
+function quote(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * 字段的JSON路径，如 members.id -> $."members"."id"
+ * 以字面量写入SQL，使查询可以使用按同一表达式建立的索引
+ * @param {string} field - 字段名，支持点号分隔的嵌套字段
+ * @returns {string}
+ */
+function jsonPath(field) {
+  return quote('$.' + field.split('.').map(key => `"${key.replace(/"/g, '\\"')}"`).join('.'));
+}
+
+/**
+ * 把NeDB查询条件转换为SQL条件，用于从表中预先筛选候选记录
+ * 转换结果只会多选不会漏选：数组字段、对象比较、不支持的操作符等情况放宽为不限制，
+ * 最终结果仍由NeDB的model.match判定，因此查询语义与NeDB完全一致
+ */
+class QueryTranslator {
+  /**
+   * @param {Object} query - NeDB查询条件
+   * @returns {Object} - { sql, params }
+   */
+  translate(query) {
+    const parts = Object.keys(query || {}).map(key => {
+      if (key === '$or') {
+        return this.or(query.$or);
+      }
+      if (key === '$and') {
+        return this.and(query.$and.map(item => this.translate(item)));
+      }
+      if (key.startsWith('$')) {
+        return ANY;
+      }
+      return this.field(key, query[key]);
+    });
+    return this.and(parts);
+  }
+
+  and(parts) {
+    parts = parts.filter(part => part !== ANY);
+    if (parts.length === 0) {
+      return ANY;
+    }
+    return {
+      sql: parts.map(part => `(${part.sql})`).join(' AND '),
+      params: [].concat(...parts.map(part => part.params))
+    };
+  }
+
+  or(queries) {
+    if (!Array.isArray(queries) || queries.length === 0) {
+      return ANY;
+    }
+    const parts = queries.map(item => this.translate(item));
+    if (parts.includes(ANY)) {
+      return ANY;
+    }
+    return {
+      sql: parts.map(part => `(${part.sql})`).join(' OR '),
+      params: [].concat(...parts.map(part => part.params))
+    };
+  }
+
+  // 字段或路径上任何一级是数组时，NeDB会匹配数组中的元素，这种记录交给model.match判定
+  arrayGuard(field) {
+    if (field === '_id') {
+      return null;
+    }
+    const keys = field.split('.');
+    return keys
+      .map((key, i) => `json_type(data, ${jsonPath(keys.slice(0, i + 1).join('.'))}) = 'array'`)
+      .join(' OR ');
+  }
+
+  expression(field) {
+    return field === '_id' ? '_id' : `json_extract(data, ${jsonPath(field)})`;
+  }
+
+  // 只转换数字和字符串，其余类型在SQL中的比较规则与NeDB不同
+  isComparable(value) {
+    return typeof value === 'string' || (typeof value === 'number' && isFinite(value));
+  }
+
+  withGuard(field, sql, params) {
+    const guard = this.arrayGuard(field);
+    return { sql: guard ? `${sql} OR ${guard}` : sql, params };
+  }
+
+  field(field, condition) {
+    const expr = this.expression(field);
+    if (this.isComparable(condition)) {
+      return this.withGuard(field, `${expr} = ?`, [condition]);
+    }
+    if (typeof condition === 'boolean' && field !== '_id') {
+      return this.withGuard(field, `json_type(data, ${jsonPath(field)}) = '${condition}'`, []);
+    }
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition) || condition instanceof Date) {
+      return ANY;
+    }
+    const operators = Object.keys(condition);
+    if (!operators.every(op => op.startsWith('$'))) {
+      return ANY;
+    }
+    return this.and(operators.map(op => this.operator(field, op, condition[op])));
+  }
+
+  operator(field, op, value) {
+    const expr = this.expression(field);
+    const comparisons = { $lt: '<', $lte: '<=', $gt: '>', $gte: '>=' };
+    // 字符串的大小比较规则（UTF-16与UTF-8字节序）可能不同，只转换数字
+    if (comparisons[op] && typeof value === 'number' && isFinite(value)) {
+      return this.withGuard(field, `${expr} ${comparisons[op]} ?`, [value]);
+    }
+    if (op === '$ne' && this.isComparable(value)) {
+      return this.withGuard(field, `${expr} IS NULL OR ${expr} != ?`, [value]);
+    }
+    if (op === '$ne' && typeof value === 'boolean' && field !== '_id') {
+      return this.withGuard(field, `json_type(data, ${jsonPath(field)}) IS NOT '${value}'`, []);
+    }
+    if (op === '$in' && Array.isArray(value) && value.every(item => this.isComparable(item))) {
+      if (value.length === 0) {
+        return { sql: '0', params: [] };
+      }
+      return this.withGuard(field, `${expr} IN (${value.map(() => '?').join(', ')})`, value);
+    }
+    if (op === '$exists' && value && field !== '_id') {
+      return this.withGuard(field, `json_type(data, ${jsonPath(field)}) IS NOT NULL`, []);
+    }
+    return ANY;
+  }
+}
+
+const translator = new QueryTranslator();
+
+/**
+ * SQLite集合：每个集合一张表，记录以NeDB的序列化格式存放在data列中
+ * 查询时先用SQL筛选候选记录，再复用NeDB的Cursor完成匹配、排序、分页和投影
+ */
+class SqliteCollection {
+  /**
+   * @param {Object} database - SQLite数据库连接
+   * @param {string} name - 集合名
+   */
+  constructor(database, name) {
+    this.database = database;
+    this.table = `"${name.replace(/\W/g, '_')}"`;
+    this.indexPrefix = `idx_${name.replace(/\W/g, '_')}_`;
+    this.database.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (_id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+  }
+
+  // 供NeDB的Cursor调用：返回可能匹配查询条件的记录
+  getCandidates(query, callback) {
+    let docs;
+    try {
+      const { sql, params } = translator.translate(query);
+      docs = this.database.prepare(`SELECT data FROM ${this.table} WHERE ${sql}`).all(...params)
+        .map(row => model.deserialize(row.data));
+    } catch (error) {
+      return callback(error);
+    }
+    return callback(null, docs);
+  }
+
+  // 同步查询：getCandidates和Cursor都是同步执行的，修改、删除时读写在同一轮事件循环内完成，
+  // 与NeDB按顺序执行操作一样，并发的请求不会交错（如$inc不会丢失更新）
+  findSync(query = {}, options = {}) {
+    const cursor = new Cursor(this, query);
+    if (options.sort) {
+      cursor.sort(options.sort);
+    }
+    if (options.skip) {
+      cursor.skip(options.skip);
+    }
+    if (options.limit) {
+      cursor.limit(options.limit);
+    }
+    if (options.projection) {
+      cursor.projection(options.projection);
+    }
+    let error = null;
+    let result = [];
+    cursor._exec((err, docs) => {
+      error = err;
+      result = docs;
+    });
+    if (error) {
+      throw error;
+    }
+    return result;
+  }
+
+  async find(query = {}, options = {}) {
+    return this.findSync(query, options);
+  }
+
+  async findOne(query = {}) {
+    const [doc] = await this.find(query, { limit: 1 });
+    return doc || null;
+  }
+
+  async count(query = {}) {
+    return (await this.find(query)).length;
+  }
+
+  // 在事务中执行，出错时回滚
+  transaction(fn) {
+    this.database.exec('BEGIN');
+    try {
+      const result = fn();
+      this.database.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.database.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  prepareDoc(doc) {
+    const copy = model.deepCopy(doc);
+    if (copy._id === undefined) {
+      copy._id = uid(16);
+    }
+    model.checkObject(copy);
+    return copy;
+  }
+
+  async insert(docs) {
+    return this.insertSync(docs);
+  }
+
+  insertSync(docs) {
+    const isArray = Array.isArray(docs);
+    const newDocs = (isArray ? docs : [docs]).map(doc => this.prepareDoc(doc));
+    const statement = this.database.prepare(`INSERT INTO ${this.table} (_id, data) VALUES (?, ?)`);
+    try {
+      this.transaction(() => {
+        newDocs.forEach(doc => statement.run(String(doc._id), model.serialize(doc)));
+      });
+    } catch (error) {
+      if (/UNIQUE|PRIMARY KEY/.test(error.message)) {
+        const uniqueError = new Error("Can't insert key, it violates the unique constraint");
+        uniqueError.errorType = 'uniqueViolated';
+        throw uniqueError;
+      }
+      throw error;
+    }
+    const result = newDocs.map(doc => model.deepCopy(doc));
+    return isArray ? result : result[0];
+  }
+
+  async update(query, update, options = {}) {
+    const docs = this.findSync(query, options.multi ? {} : { limit: 1 });
+    if (docs.length === 0 && options.upsert) {
+      let doc;
+      try {
+        // 不含修改操作符时直接插入，否则以去掉操作符的查询条件为基础执行修改
+        model.checkObject(update);
+        doc = update;
+      } catch (error) {
+        doc = model.modify(model.deepCopy(query, true), update);
+      }
+      const newDoc = this.insertSync(doc);
+      return { numAffected: 1, affectedDocuments: newDoc, upsert: true };
+    }
+    const modified = docs.map(doc => model.modify(doc, update));
+    const statement = this.database.prepare(`UPDATE ${this.table} SET data = ? WHERE _id = ?`);
+    this.transaction(() => {
+      modified.forEach(doc => statement.run(model.serialize(doc), String(doc._id)));
+    });
+    let affectedDocuments = null;
+    if (options.returnUpdatedDocs) {
+      affectedDocuments = options.multi ? modified : (modified[0] || null);
+    }
+    return { numAffected: modified.length, affectedDocuments, upsert: false };
+  }
+
+  async remove(query, options = {}) {
+    const docs = this.findSync(query, options.multi ? {} : { limit: 1 });
+    const statement = this.database.prepare(`DELETE FROM ${this.table} WHERE _id = ?`);
+    this.transaction(() => {
+      docs.forEach(doc => statement.run(String(doc._id)));
+    });
+    return docs.length;
+  }
+
+  async ensureIndex(fieldName) {
+    if (fieldName === '_id') {
+      return;
+    }
+    const index = `"${this.indexPrefix}${fieldName.replace(/\W/g, '_')}"`;
+    this.database.exec(`CREATE INDEX IF NOT EXISTS ${index} ON ${this.table} (json_extract(data, ${jsonPath(fieldName)}))`);
+  }
+
+  async compact() {}
+}
+
+/**
+ * SQLite存储，所有集合保存在同一个数据库文件中
+ */
+class SqliteStorage {
+  /**
+   * @param {Object} options - 配置
+   * @param {string} options.file - 数据库文件，:memory:表示只使用内存
+   */
+  constructor({ file = './db/chat.sqlite' } = {}) {
+    if (file !== ':memory:') {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+    this.database = openDatabase(file);
+    this.database.exec('PRAGMA journal_mode = WAL');
+  }
+
+  collection(name) {
+    return new SqliteCollection(this.database, name);
+  }
+
+  close() {
+    this.database.close();
+  }
+}
+
+module.exports = SqliteStorage;
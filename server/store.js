@@ -1,121 +1,258 @@
 const db=require("./db");
 const util=require("./utils")
 const fs=require('fs')
+const crypto=require('crypto')
 const bcrypt = require('bcrypt')
 const { AuthManager, USER_ROLES } = require('./auth');
 
 const authManager = new AuthManager();
+// 历史消息分页大小
+const HISTORY_PAGE_SIZE = 20;
+const HISTORY_MAX_PAGE_SIZE = 100;
+// 私聊消息状态：已送达服务器、已送达接收者、已读
+const MESSAGE_STATUS = {
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read'
+};
+// 管理员生成的一次性密码重置码：有效期、可尝试次数和字符集（去掉了易混淆的0/O、1/I）
+const RESET_CODE_TTL = 30 * 60 * 1000;
+const RESET_CODE_MAX_ATTEMPTS = 5;
+const RESET_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+// 持久化用户ID格式（utils.guid生成），旧数据中的socket.id不符合该格式
+const USER_ID_REG = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
 module.exports ={
+  MESSAGE_STATUS,
   saveUser(user,status){
     console.log(user.name,status);
     if(status==='login' || status==='register'){
-      return new Promise((resolve, reject) => {
-        db.user.insert(user,(err,newUser) => {
-          if(err){
-            console.error('保存用户失败:', err);
-            reject(err)
-          }else {
-            console.log('用户保存成功:', newUser);
-            resolve(newUser)
-          }
-        })
+      return db.user.insert(user).then((newUser) => {
+        console.log('用户保存成功:', newUser);
+        return newUser;
+      }, (err) => {
+        console.error('保存用户失败:', err);
+        throw err;
       })
     }else{
       return Promise.resolve(null);
     }
   },
-  saveMessage(from,to,message,type){
-    if(type==='image'){
-      const base64Data = message.replace(/^data:image\/\w+;base64,/, "")
-      const dataBuffer = new Buffer.from(base64Data,'base64')
-      const filename = util.MD5(base64Data)
-      fs.writeFileSync(`./upload/${filename}.png`,dataBuffer)
-      message=`/assets/images/${filename}.png`
-    }
+  // 生成持久化用户ID
+  createUserId(){
+    return util.guid();
+  },
+  isUserId(id){
+    return typeof id === 'string' && USER_ID_REG.test(id);
+  },
+  // fields为附加字段，如私聊消息的状态status
+  // 图片、文件消息的内容为上传记录的ID，文件通过HTTP上传接口保存，file字段保存文件名、大小、类型和图片的宽高
+  saveMessage(from,to,message,type,fields = {}){
     console.log("\x1b[36m"+from.name+"\x1b[0m对<\x1b[36m"+to.name+"\x1b[0m>:\x1b[32m"+message+"\x1b[0m")
     // 只存储用户ID和基本信息，不存储完整用户对象
     const doc={
-      fromId: from.id || from.name, // 使用ID作为主键，如果没有ID则使用name
-      toId: to.id || to.name,
+      fromId: from.id, // 持久化用户ID
+      toId: to.id,
       fromName: from.name, // 保留用户名用于快速显示
       toName: to.name,
+      toType: to.type, // user：私聊，group：群聊
+      fromAvatar: from.avatarUrl,
       content:message,
       type,
-      time:new Date().getTime()
+      time:new Date().getTime(),
+      ...fields
     }
-    return new Promise((resolve, reject) => {
-      db.message.insert(doc,(err,newDoc) => {
-        if(err){
-          reject(err)
-        }else {
-          resolve(newDoc)
-        }
-      })
-    })
+    return db.message.insert(doc)
+  },
+  // 分页获取两个用户之间的历史消息（只返回当前用户发送或接收的消息）
+  getMessages(user, peer, options = {}) {
+    const query = {
+      $or: [
+        { fromId: user.id, toId: peer.id },
+        { fromId: peer.id, toId: user.id }
+      ]
+    };
+    const toSession = (u) => ({
+      id: u.id,
+      name: u.name,
+      avatarUrl: u.avatarUrl,
+      type: 'user'
+    });
+    // 重构消息格式以匹配前端期望的结构
+    return this.findMessagePage(query, options, (doc) => {
+      const isSend = doc.fromId === user.id;
+      return {
+        from: toSession(isSend ? user : peer),
+        to: toSession(isSend ? peer : user),
+        status: doc.status || null,
+        // 收到的消息以服务端记录的已读状态为准（旧数据没有状态，视为已读）
+        isRead: isSend || !doc.status || doc.status === MESSAGE_STATUS.READ
+      };
+    });
+  },
+  // 分页获取群组的历史消息
+  getRoomMessages(room, options = {}) {
+    return this.findMessagePage({ toId: room.id }, options, (doc) => ({
+      from: {
+        id: doc.fromId,
+        name: doc.fromName,
+        avatarUrl: doc.fromAvatar,
+        type: 'user'
+      },
+      to: room,
+      isRead: true
+    }));
   },
-  getMessages() {
+  // 按时间倒序分页查询消息，before和beforeId为游标：只取该消息之前的消息，
+  // 时间相同的消息按ID排序，避免分页边界上同一时间的消息被跳过
+  // 游标来自客户端，before不是有限数字时忽略游标，beforeId不是字符串时只按时间分页
+  async findMessagePage(query, options, mapSession) {
+    const limit = Math.min(parseInt(options.limit) || HISTORY_PAGE_SIZE, HISTORY_MAX_PAGE_SIZE);
+    const { before, beforeId } = options;
+    if (Number.isFinite(before)) {
+      const cursor = [{ time: { $lt: before } }];
+      if (typeof beforeId === 'string') {
+        cursor.push({ time: before, _id: { $lt: beforeId } });
+      }
+      query = { $and: [query, { $or: cursor }] };
+    }
+    // 多取一条用于判断是否还有更早的消息
+    const docs = await db.message.find(query, { sort: {time:-1, _id:-1}, limit: limit + 1 });
+    const hasMore = docs.length > limit;
+    const messages = docs.slice(0, limit).reverse().map((doc) => ({
+      _id: doc._id,
+      content: doc.content,
+      type: doc.type,
+      file: doc.file || null,
+      time: doc.time,
+      recalled: !!doc.recalled,
+      recalledBy: doc.recalledBy || null,
+      ...mapSession(doc)
+    }));
+    return { messages, hasMore };
+  },
+  // 获取发给某个用户且尚未投递的离线消息（按发送顺序）
+  getPendingMessages(userId){
+    return db.message.find({toId: userId, status: MESSAGE_STATUS.SENT, recalled: {$ne: true}}, { sort: {time:1} })
+  },
+  // 更新消息状态，状态只会前进（sent -> delivered -> read），返回实际更新的消息ID
+  updateMessageStatus(ids, status){
+    const order = [MESSAGE_STATUS.SENT, MESSAGE_STATUS.DELIVERED, MESSAGE_STATUS.READ];
+    const previous = order.slice(0, order.indexOf(status));
+    return this.setMessageStatus({_id: {$in: ids}, status: {$in: previous}}, status);
+  },
+  // 把某个用户发给当前用户的消息全部标记为已读
+  markRead(fromId, toId){
+    return this.setMessageStatus({
+      fromId,
+      toId,
+      status: {$in: [MESSAGE_STATUS.SENT, MESSAGE_STATUS.DELIVERED]}
+    }, MESSAGE_STATUS.READ);
+  },
+  getMessageById(id){
+    return db.message.findOne({_id: id})
+  },
+  // 撤回或删除消息：保留记录用于显示占位提示，清空消息内容
+  // by为sender（发送者撤回）或admin（管理员删除）
+  async removeMessage(id, by){
+    const { numAffected } = await db.message.update({_id: id}, {
+      $set: {content: '', recalled: true, recalledBy: by, recalledAt: new Date().getTime()},
+      $unset: {file: true}
+    });
+    return numAffected;
+  },
+  // 旧版本通过socket发送的图片，消息内容为图片地址，新版本的图片消息内容为上传记录的ID
+  isLegacyImage(content){
+    return typeof content === 'string' && /^\/assets\/images\/\w+\.png$/.test(content);
+  },
+  // 旧版本的图片按内容MD5命名，可能被多条消息引用，没有消息引用时才删除文件
+  async removeUnusedImage(url){
+    if(!this.isLegacyImage(url)){
+      return false;
+    }
+    const count = await db.message.count({type: 'image', content: url});
+    if(count > 0){
+      return false;
+    }
+    const filename = url.replace(/^\/assets\/images\//, '');
     return new Promise((resolve, reject) => {
-      db.message.find({}).sort({time:1}).skip(0).limit(100).exec(async (err,docs) => {
-        if(err){
+      fs.unlink(`./upload/${filename}`, (err) => {
+        if(err && err.code !== 'ENOENT'){
           reject(err)
         }else {
-          // 为了兼容性，重构消息格式以匹配前端期望的结构
-          const messagesWithUserInfo = await Promise.all(docs.map(async (doc) => {
-            // 如果是新格式（有fromId字段），则构建兼容的用户对象
-            if(doc.fromId) {
-              const fromUser = await this.getUserByName(doc.fromName) || { name: doc.fromName, id: doc.fromId };
-              const toUser = await this.getUserByName(doc.toName) || { name: doc.toName, id: doc.toId };
-              
-              return {
-                ...doc,
-                from: {
-                  name: fromUser.name,
-                  id: fromUser.id || doc.fromId,
-                  avatarUrl: fromUser.avatarUrl || 'static/img/avatar/default.jpg'
-                },
-                to: {
-                  name: toUser.name,
-                  id: toUser.id || doc.toId,
-                  avatarUrl: toUser.avatarUrl || 'static/img/avatar/default.jpg'
-                }
-              };
-            }
-            // 如果是旧格式，直接返回
-            return doc;
-          }));
-          resolve(messagesWithUserInfo)
+          resolve(!err)
         }
       })
     })
   },
+  async setMessageStatus(query, status){
+    const docs = await db.message.find(query, { projection: {_id: 1} });
+    const ids = docs.map(doc => doc._id);
+    if(ids.length > 0){
+      await db.message.update({_id: {$in: ids}}, {$set: {status}}, {multi: true});
+    }
+    return ids;
+  },
   getUsers(){
-    return new Promise((resolve, reject) => {
-      db.user.find({}).sort({time:1}).skip(0).limit(100).exec((err,docs) => {
-        if(err){
-          reject(err)
-        }else {
-          resolve(docs)
-        }
-      })
-    })
+    return db.user.find({}, { sort: {time:1}, limit: 100 })
   },
   // 根据用户名查找用户
   getUserByName(name){
-    return new Promise((resolve, reject) => {
-      db.user.findOne({name: name}, (err, doc) => {
-        if(err){
-          reject(err)
-        }else {
-          resolve(doc)
-        }
-      })
-    })
+    return db.user.findOne({name: name})
+  },
+  // 根据持久化ID查找用户
+  getUserById(id){
+    return db.user.findOne({id: id})
+  },
+  // 根据持久化ID批量查找用户
+  getUsersByIds(ids){
+    return db.user.find({id: {$in: ids}})
+  },
+  // 更新用户记录
+  async updateUser(id, fields){
+    const { numAffected } = await db.user.update({id: id}, {$set: fields});
+    return numAffected;
+  },
+  // 获取账户的持久化ID，没有时（旧数据）补发一个
+  async ensureUserId(account){
+    if(this.isUserId(account.id)){
+      return account.id;
+    }
+    const id = this.createUserId();
+    await db.user.update({_id: account._id}, {$set: {id}});
+    account.id = id;
+    return id;
+  },
+  // 管理员账户配置在环境变量中，为其在用户库中建立记录以获得持久化ID
+  // 管理员记录没有密码；同名记录有密码时是普通用户注册的账户，不能共用其ID，返回null
+  async ensureAdminUser(user){
+    const account = await this.getUserByName(user.name);
+    if(account && account.password){
+      console.warn(`管理员账户名<${user.name}>已被普通用户注册，请在ADMIN_ACCOUNTS中使用其他账户名`);
+      return null;
+    }
+    if(account){
+      return this.ensureUserId(account);
+    }
+    const newUser = await this.saveUserWithRole({
+      id: this.createUserId(),
+      name: user.name,
+      avatarUrl: user.avatarUrl,
+      time: new Date().getTime()
+    }, 'register', USER_ROLES.ADMIN);
+    return newUser.id;
   },
   // 密码加密
   async hashPassword(password){
     const saltRounds = 10;
     return await bcrypt.hash(password, saltRounds);
   },
+  // 用于不存在的账户的哈希，首次使用时生成
+  getDummyHash(){
+    if(!this.dummyHash){
+      this.dummyHash = this.hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    return this.dummyHash;
+  },
   // 密码验证
   async verifyPassword(inputPassword, hashedPassword){
     return await bcrypt.compare(inputPassword, hashedPassword);
@@ -124,7 +261,7 @@ module.exports ={
   // 验证用户登录并返回角色信息
   async verifyUserLogin(username, password) {
     // 首先检查是否为管理员账户
-    if (authManager.isAdminAccount(username, password)) {
+    if (await authManager.isAdminAccount(username, password)) {
       return {
         isValid: true,
         role: USER_ROLES.ADMIN,
@@ -135,7 +272,8 @@ module.exports ={
     
     // 检查普通用户
     const user = await this.getUserByName(username);
-    if (user) {
+    // 管理员记录没有密码，只能通过配置的账户密码登录
+    if (user && user.password) {
       const isPasswordValid = await this.verifyPassword(password, user.password);
       if (isPasswordValid) {
         return {
@@ -145,6 +283,9 @@ module.exports ={
           user: user
         };
       }
+    } else {
+      // 用户不存在时同样执行一次哈希比对，避免通过响应时间判断账户是否存在
+      await this.verifyPassword(password, await this.getDummyHash());
     }
     
     return {
@@ -155,6 +296,54 @@ module.exports ={
     };
   },
   
+  // 设置新密码并递增会话版本，使之前签发的token失效，同时作废未使用的重置码
+  async setPassword(account, password){
+    const sessionVersion = (account.sessionVersion || 0) + 1;
+    await db.user.update({_id: account._id}, {
+      $set: {
+        password: await this.hashPassword(password),
+        sessionVersion,
+        passwordChangedAt: new Date().getTime()
+      },
+      $unset: {resetCode: true, resetCodeExpires: true, resetCodeAttempts: true}
+    });
+    return sessionVersion;
+  },
+  // 为用户生成一次性密码重置码，数据库中只保存哈希
+  async createResetCode(account){
+    const code = Array.from({length: 8}, () => RESET_CODE_CHARS[crypto.randomInt(RESET_CODE_CHARS.length)]).join('');
+    const expiresAt = new Date().getTime() + RESET_CODE_TTL;
+    await db.user.update({_id: account._id}, {
+      $set: {resetCode: await this.hashPassword(code), resetCodeExpires: expiresAt, resetCodeAttempts: 0}
+    });
+    return {code, expiresAt};
+  },
+  // 校验并使用重置码：先计入尝试次数再比对，过期或错误次数过多时作废
+  async consumeResetCode(account, code){
+    if(typeof code !== 'string' || !code){
+      return false;
+    }
+    const { affectedDocuments: doc } = await db.user.update(
+      {_id: account._id, resetCode: {$exists: true}},
+      {$inc: {resetCodeAttempts: 1}},
+      {returnUpdatedDocs: true}
+    );
+    if(!doc){
+      return false;
+    }
+    const clear = {$unset: {resetCode: true, resetCodeExpires: true, resetCodeAttempts: true}};
+    if(doc.resetCodeExpires < new Date().getTime() || doc.resetCodeAttempts > RESET_CODE_MAX_ATTEMPTS){
+      await db.user.update({_id: account._id}, clear);
+      return false;
+    }
+    if(!await this.verifyPassword(code.trim().toUpperCase(), doc.resetCode)){
+      return false;
+    }
+    // 同一个重置码并发使用时只有一次生效
+    const { numAffected } = await db.user.update({_id: account._id, resetCode: doc.resetCode}, clear);
+    return numAffected === 1;
+  },
+
   // 保存用户时包含角色信息
   async saveUserWithRole(user, status, role = USER_ROLES.USER) {
     user.role = role;
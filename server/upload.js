@@ -0,0 +1,747 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const sharp = require('sharp');
+const db = require('./db');
+const jwt = require('./jwt');
+const RoomManager = require('./room');
+const { SessionManager } = require('./session');
+const dotenv = require('dotenv');
+dotenv.config();
+
+// 允许上传的文件类型：MIME -> { kind, extensions }，kind为image（图片）、file（文件）或voice（语音）
+const UPLOAD_TYPES = {
+  'image/png': { kind: 'image', extensions: ['png'] },
+  'image/jpeg': { kind: 'image', extensions: ['jpg', 'jpeg'] },
+  'image/gif': { kind: 'image', extensions: ['gif'] },
+  'image/webp': { kind: 'image', extensions: ['webp'] },
+  'application/pdf': { kind: 'file', extensions: ['pdf'] },
+  'text/plain': { kind: 'file', extensions: ['txt', 'log'] },
+  'application/zip': { kind: 'file', extensions: ['zip'] },
+  'application/msword': { kind: 'file', extensions: ['doc'] },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { kind: 'file', extensions: ['docx'] },
+  'application/vnd.ms-excel': { kind: 'file', extensions: ['xls'] },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { kind: 'file', extensions: ['xlsx'] },
+  'application/vnd.ms-powerpoint': { kind: 'file', extensions: ['ppt'] },
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': { kind: 'file', extensions: ['pptx'] },
+  'audio/wav': { kind: 'voice', extensions: ['wav'] }
+};
+// 各类上传在提示信息中的名称
+const KIND_NAMES = { image: '图片', file: '文件', voice: '语音' };
+// 分片大小，客户端按该大小切分文件
+const CHUNK_SIZE = 512 * 1024;
+// 未完成的上传超过该时间没有新的分片时清理
+const UPLOAD_SESSION_TTL = 60 * 60 * 1000;
+// 定时清理过期和未被引用的上传的间隔
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+// 文件名最大长度
+const MAX_NAME_LENGTH = 100;
+// 图片格式的文件头，按实际内容识别格式，不信任文件名和客户端声明的类型
+const IMAGE_SIGNATURES = [
+  { mime: 'image/png', format: 'png', test: buffer => buffer.toString('hex', 0, 8) === '89504e470d0a1a0a' },
+  { mime: 'image/jpeg', format: 'jpeg', test: buffer => buffer.toString('hex', 0, 3) === 'ffd8ff' },
+  { mime: 'image/gif', format: 'gif', test: buffer => ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6)) },
+  { mime: 'image/webp', format: 'webp', test: buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP' }
+];
+// 图片的最大宽高和像素数，避免超大尺寸的图片解码时占用过多内存
+const MAX_IMAGE_SIDE = 10000;
+const MAX_IMAGE_PIXELS = 50 * 1000 * 1000;
+// 缩略图的最大宽高，不超过该尺寸的图片不生成缩略图
+const THUMBNAIL_SIZE = 400;
+// 语音的最短时长（秒），以及支持的采样率范围
+const MIN_VOICE_SECONDS = 1;
+const VOICE_SAMPLE_RATES = [8000, 48000];
+
+/**
+ * 读取上传配置
+ * UPLOAD_DIR：上传文件目录，默认 ./upload
+ * UPLOAD_IMAGE_MAX_MB：图片大小上限（MB），默认5
+ * UPLOAD_FILE_MAX_MB：文件大小上限（MB），默认20
+ * UPLOAD_VOICE_MAX_MB：语音大小上限（MB），默认2
+ * UPLOAD_VOICE_MAX_SECONDS：语音时长上限（秒），默认60
+ * UPLOAD_USER_QUOTA_MB：每个用户可使用的上传空间（MB），默认200
+ * UPLOAD_TOTAL_QUOTA_MB：所有用户可使用的上传空间（MB），默认5120
+ * UPLOAD_RETENTION_DAYS：上传的文件保留天数，0表示一直保留，默认0
+ * UPLOAD_ORPHAN_HOURS：上传后没有被消息引用的文件保留小时数，默认24
+ * @param {Object} env - 环境变量
+ * @returns {Object}
+ */
+function getUploadConfig(env = process.env) {
+  const read = (name, defaultValue) => {
+    const value = parseFloat(env[name]);
+    return value > 0 ? value : defaultValue;
+  };
+  const MB = 1024 * 1024;
+  return {
+    dir: env.UPLOAD_DIR || './upload',
+    maxSize: {
+      image: Math.floor(read('UPLOAD_IMAGE_MAX_MB', 5) * MB),
+      file: Math.floor(read('UPLOAD_FILE_MAX_MB', 20) * MB),
+      voice: Math.floor(read('UPLOAD_VOICE_MAX_MB', 2) * MB)
+    },
+    voiceMaxSeconds: read('UPLOAD_VOICE_MAX_SECONDS', 60),
+    userQuota: Math.floor(read('UPLOAD_USER_QUOTA_MB', 200) * MB),
+    totalQuota: Math.floor(read('UPLOAD_TOTAL_QUOTA_MB', 5120) * MB),
+    retention: read('UPLOAD_RETENTION_DAYS', 0) * 24 * 60 * 60 * 1000,
+    orphanTTL: read('UPLOAD_ORPHAN_HOURS', 24) * 60 * 60 * 1000
+  };
+}
+
+// 文件大小，如 500K、1.5M
+function formatSize(size) {
+  if (size < 1024 * 1024) {
+    return `${Math.round(size / 1024)}K`;
+  }
+  return `${Math.round(size / 1024 / 1024 * 10) / 10}M`;
+}
+
+// 可以返回给客户端的上传错误，status为HTTP状态码
+function uploadError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 按文件头识别图片格式
+ * @param {Buffer} buffer - 文件开头的内容，至少12个字节
+ * @returns {Object|null} - { mime, format }，不是支持的图片格式时返回null
+ */
+function detectImageType(buffer) {
+  const signature = IMAGE_SIGNATURES.find(item => item.test(buffer));
+  return signature ? { mime: signature.mime, format: signature.format } : null;
+}
+
+/**
+ * 处理上传的图片：识别实际格式、校验尺寸，按EXIF方向旋转后重新编码，
+ * 去除EXIF（如拍摄位置）等元数据，并生成缩略图（webp）
+ * @param {string} filePath - 图片文件路径
+ * @returns {Promise<Object>} - { mime, width, height, data, thumbnail }，不需要缩略图时thumbnail为null
+ */
+async function processImage(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  const header = Buffer.alloc(12);
+  try {
+    await handle.read(header, 0, header.length, 0);
+  } finally {
+    await handle.close();
+  }
+  const type = detectImageType(header);
+  if (!type) {
+    throw uploadError('文件内容不是支持的图片格式', 415);
+  }
+  // gif、webp可能是动图，需要保留所有帧
+  const animated = type.format === 'gif' || type.format === 'webp';
+  const options = { animated, limitInputPixels: MAX_IMAGE_PIXELS };
+  let metadata;
+  try {
+    metadata = await sharp(filePath, options).metadata();
+  } catch (error) {
+    throw uploadError('图片已损坏或尺寸过大', 415);
+  }
+  const width = metadata.width;
+  const height = metadata.pageHeight || metadata.height;
+  if (width > MAX_IMAGE_SIDE || height > MAX_IMAGE_SIDE) {
+    throw uploadError(`图片宽高不能超过${MAX_IMAGE_SIDE}像素`, 413);
+  }
+  const image = sharp(filePath, options);
+  // 照片的方向记录在EXIF中，去除元数据前先按方向旋转
+  if (metadata.orientation > 1) {
+    image.rotate();
+  }
+  // sharp输出时默认不保留元数据
+  const { data, info } = await image
+    .toFormat(type.format, type.format === 'jpeg' ? { quality: 90 } : {})
+    .toBuffer({ resolveWithObject: true });
+  const result = { mime: type.mime, width: info.width, height: info.pageHeight || info.height, data, thumbnail: null };
+  if (result.width > THUMBNAIL_SIZE || result.height > THUMBNAIL_SIZE) {
+    result.thumbnail = await sharp(data, options)
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside' })
+      .webp({ quality: 80 })
+      .toBuffer();
+  }
+  return result;
+}
+
+/**
+ * 校验上传的语音并计算时长
+ * 语音为浏览器录制后编码的WAV（16位PCM），按RIFF块读取格式和数据长度，不信任客户端声明的时长
+ * @param {string} filePath - 语音文件路径
+ * @param {number} maxSeconds - 时长上限（秒）
+ * @returns {Promise<Object>} - { duration }，单位为秒，保留一位小数
+ */
+async function processVoice(filePath, maxSeconds) {
+  const buffer = await fs.promises.readFile(filePath);
+  if (buffer.length < 12 || buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WAVE') {
+    throw uploadError('语音格式不正确', 415);
+  }
+  let format = null;
+  let dataSize = null;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'fmt ' && size >= 16 && offset + 24 <= buffer.length) {
+      format = {
+        audioFormat: buffer.readUInt16LE(offset + 8),
+        channels: buffer.readUInt16LE(offset + 10),
+        sampleRate: buffer.readUInt32LE(offset + 12),
+        byteRate: buffer.readUInt32LE(offset + 16),
+        bitsPerSample: buffer.readUInt16LE(offset + 22)
+      };
+    } else if (id === 'data') {
+      // 数据块长度不能超过文件的实际内容
+      dataSize = Math.min(size, buffer.length - offset - 8);
+      break;
+    }
+    // 块按偶数字节对齐
+    offset += 8 + size + (size % 2);
+  }
+  const valid = format && dataSize !== null &&
+    format.audioFormat === 1 &&
+    format.bitsPerSample === 16 &&
+    format.channels >= 1 && format.channels <= 2 &&
+    format.sampleRate >= VOICE_SAMPLE_RATES[0] && format.sampleRate <= VOICE_SAMPLE_RATES[1] &&
+    format.byteRate === format.sampleRate * format.channels * 2;
+  if (!valid) {
+    throw uploadError('语音格式不正确', 415);
+  }
+  const duration = Math.round(dataSize / format.byteRate * 10) / 10;
+  if (duration < MIN_VOICE_SECONDS) {
+    throw uploadError('说话时间太短');
+  }
+  if (duration > maxSeconds) {
+    throw uploadError(`语音时长不能超过${maxSeconds}秒`, 413);
+  }
+  return { duration };
+}
+
+/**
+ * 上传管理器
+ * 文件分片上传到临时文件，完成后按内容的sha256保存（相同内容只保存一份），
+ * 每次上传在uploads集合中生成一条记录（上传者、大小、内容哈希、被消息引用的次数），消息中引用记录的ID
+ * 上传空间按记录的大小统计，定时清理过期和没有被消息引用的记录，没有记录引用的文件随之删除
+ */
+class UploadManager {
+  /**
+   * @param {Object} config - 配置，默认读取环境变量
+   */
+  constructor(config = getUploadConfig()) {
+    this.config = config;
+    // uploadId -> 进行中的上传
+    this.sessions = new Map();
+    this.tmpDir = path.join(config.dir, 'tmp');
+    this.filesDir = path.join(config.dir, 'files');
+    this.roomManager = new RoomManager();
+  }
+
+  // 内容哈希对应的文件路径，按哈希前两位分目录
+  blobPath(hash) {
+    return path.join(this.filesDir, hash.slice(0, 2), hash);
+  }
+
+  /**
+   * 校验文件名、大小和类型
+   * @param {Object} meta - { name, size, mime }
+   * @returns {Object} - 校验后的 { name, size, mime, kind }
+   */
+  validate({ name, size, mime } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw uploadError('文件名不能为空');
+    }
+    name = path.basename(name.trim()).slice(-MAX_NAME_LENGTH);
+    const type = UPLOAD_TYPES[mime];
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    if (!type || !type.extensions.includes(extension)) {
+      throw uploadError('不支持的文件类型', 415);
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      throw uploadError('文件大小无效');
+    }
+    const maxSize = this.config.maxSize[type.kind];
+    if (size > maxSize) {
+      throw uploadError(`${KIND_NAMES[type.kind]}大小不能超过${formatSize(maxSize)}`, 413);
+    }
+    return { name, size, mime, kind: type.kind };
+  }
+
+  /**
+   * 开始上传
+   * @param {Object} user - 上传的用户
+   * @param {Object} meta - { name, size, mime }
+   * @returns {Promise<Object>} - { uploadId, chunkSize, totalChunks }
+   */
+  async start(user, meta) {
+    const file = this.validate(meta);
+    await this.prune();
+    await this.checkQuota(user, file.size);
+    await fs.promises.mkdir(this.tmpDir, { recursive: true });
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    const now = new Date().getTime();
+    const session = {
+      ...file,
+      uploadId,
+      ownerId: user.id,
+      totalChunks: Math.ceil(file.size / CHUNK_SIZE),
+      received: new Set(),
+      tmpPath: path.join(this.tmpDir, uploadId),
+      updatedAt: now
+    };
+    await fs.promises.writeFile(session.tmpPath, '');
+    this.sessions.set(uploadId, session);
+    return { uploadId, chunkSize: CHUNK_SIZE, totalChunks: session.totalChunks };
+  }
+
+  /**
+   * 检查上传空间配额，进行中的上传同样计入，避免并发上传超出配额
+   * @param {Object} user - 上传的用户
+   * @param {number} size - 本次上传的大小
+   */
+  async checkQuota(user, size) {
+    const sessions = [...this.sessions.values()];
+    const pending = (ownerId) => sessions
+      .filter(session => !ownerId || session.ownerId === ownerId)
+      .reduce((sum, session) => sum + session.size, 0);
+    const { userQuota, totalQuota } = this.config;
+    if (await this.getUsage({ ownerId: user.id }) + pending(user.id) + size > userQuota) {
+      throw uploadError(`您的上传空间已满（${formatSize(userQuota)}），请联系管理员`, 413);
+    }
+    if (await this.getUsage({}) + pending() + size > totalQuota) {
+      throw uploadError('服务器存储空间不足，请联系管理员', 507);
+    }
+  }
+
+  /**
+   * 统计上传记录的总大小
+   * @param {Object} query - 查询条件，如 { ownerId }
+   * @returns {Promise<number>}
+   */
+  async getUsage(query) {
+    const docs = await db.upload.find(query, { projection: { size: 1 } });
+    return docs.reduce((sum, doc) => sum + doc.size, 0);
+  }
+
+  // 获取属于该用户的进行中的上传
+  getSession(user, uploadId) {
+    const session = this.sessions.get(uploadId);
+    if (!session || session.ownerId !== user.id) {
+      throw uploadError('上传不存在或已过期', 404);
+    }
+    return session;
+  }
+
+  /**
+   * 写入一个分片，分片可以重复上传（网络重试）
+   * @param {Object} user - 上传的用户
+   * @param {string} uploadId - 上传ID
+   * @param {number} index - 分片序号，从0开始
+   * @param {Buffer} data - 分片内容
+   */
+  async writeChunk(user, uploadId, index, data) {
+    const session = this.getSession(user, uploadId);
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      throw uploadError('分片序号无效');
+    }
+    // 除最后一片外，分片大小必须等于CHUNK_SIZE
+    const expected = index === session.totalChunks - 1
+      ? session.size - index * CHUNK_SIZE
+      : CHUNK_SIZE;
+    if (!Buffer.isBuffer(data) || data.length !== expected) {
+      throw uploadError('分片大小不正确');
+    }
+    const handle = await fs.promises.open(session.tmpPath, 'r+');
+    try {
+      await handle.write(data, 0, data.length, index * CHUNK_SIZE);
+    } finally {
+      await handle.close();
+    }
+    session.received.add(index);
+    session.updatedAt = new Date().getTime();
+    return { received: session.received.size, totalChunks: session.totalChunks };
+  }
+
+  /**
+   * 完成上传：计算内容哈希并保存，生成上传记录
+   * 图片保存去除元数据后的内容和缩略图，记录实际的格式和宽高
+   * @param {Object} user - 上传的用户
+   * @param {string} uploadId - 上传ID
+   * @returns {Promise<Object>} - 上传记录
+   */
+  async complete(user, uploadId) {
+    const session = this.getSession(user, uploadId);
+    if (session.received.size !== session.totalChunks) {
+      throw uploadError(`还有${session.totalChunks - session.received.size}个分片未上传`);
+    }
+    // 同一个上传只能完成一次
+    this.sessions.delete(uploadId);
+    try {
+      const doc = {
+        // 记录ID用于读取文件，使用不可预测的随机ID
+        id: crypto.randomUUID(),
+        name: session.name,
+        size: session.size,
+        mime: session.mime,
+        kind: session.kind,
+        ownerId: user.id,
+        refCount: 0,
+        createdAt: new Date().getTime()
+      };
+      if (session.kind === 'image') {
+        const image = await processImage(session.tmpPath);
+        await fs.promises.unlink(session.tmpPath);
+        Object.assign(doc, {
+          hash: await this.saveBuffer(image.data),
+          size: image.data.length,
+          mime: image.mime,
+          width: image.width,
+          height: image.height,
+          thumbHash: image.thumbnail ? await this.saveBuffer(image.thumbnail) : null
+        });
+      } else {
+        if (session.kind === 'voice') {
+          Object.assign(doc, await processVoice(session.tmpPath, this.config.voiceMaxSeconds));
+        }
+        doc.hash = await this.saveFile(session.tmpPath);
+      }
+      return this.toSummary(await db.upload.insert(doc));
+    } catch (error) {
+      await fs.promises.unlink(session.tmpPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * 按内容哈希保存文件，相同内容已存在时删除该文件
+   * @param {string} filePath - 临时文件路径，保存后不再存在
+   * @returns {Promise<string>} - 内容哈希
+   */
+  async saveFile(filePath) {
+    const hash = await this.hashFile(filePath);
+    const blobPath = this.blobPath(hash);
+    if (fs.existsSync(blobPath)) {
+      await fs.promises.unlink(filePath);
+    } else {
+      await fs.promises.mkdir(path.dirname(blobPath), { recursive: true });
+      await fs.promises.rename(filePath, blobPath);
+    }
+    return hash;
+  }
+
+  // 按内容哈希保存处理后的内容，先写入临时文件再移动，避免读取到写了一半的文件
+  async saveBuffer(buffer) {
+    const tmpPath = path.join(this.tmpDir, crypto.randomBytes(16).toString('hex'));
+    await fs.promises.writeFile(tmpPath, buffer);
+    return this.saveFile(tmpPath);
+  }
+
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  // 清理长时间没有新分片的上传
+  async prune() {
+    const now = new Date().getTime();
+    for (const [uploadId, session] of this.sessions) {
+      if (now - session.updatedAt > UPLOAD_SESSION_TTL) {
+        this.sessions.delete(uploadId);
+        await fs.promises.unlink(session.tmpPath).catch(() => {});
+      }
+    }
+  }
+
+  // 发送引用上传记录的消息后增加引用次数
+  async addReference(id) {
+    await db.upload.update({ id }, { $inc: { refCount: 1 } });
+  }
+
+  // 引用上传记录的消息被撤回或删除后减少引用次数
+  async releaseReference(id) {
+    await db.upload.update({ id, refCount: { $gt: 0 } }, { $inc: { refCount: -1 } });
+  }
+
+  /**
+   * 清理上传：删除超过保留时间的记录，以及上传后超过一定时间仍没有被消息引用的记录，
+   * 没有记录引用的文件随之删除；同时删除服务重启前遗留的临时文件
+   * @returns {Promise<Object>} - 删除的记录数和大小 { count, size }
+   */
+  async cleanup() {
+    const now = new Date().getTime();
+    const { retention, orphanTTL } = this.config;
+    const query = [
+      { refCount: { $lte: 0 }, createdAt: { $lt: now - orphanTTL } },
+      // 旧的记录没有引用次数
+      { refCount: { $exists: false }, createdAt: { $lt: now - orphanTTL } }
+    ];
+    if (retention) {
+      query.push({ createdAt: { $lt: now - retention } });
+    }
+    const removed = [];
+    for (const doc of await db.upload.find({ $or: query })) {
+      const expired = retention && doc.createdAt < now - retention;
+      // 引用次数只用于筛选，删除前按消息重新确认，并修正引用次数
+      const refCount = expired ? 0 : await db.message.count({ type: doc.kind, content: doc.id });
+      if (refCount > 0) {
+        await db.upload.update({ id: doc.id }, { $set: { refCount } });
+      } else {
+        removed.push(doc);
+      }
+    }
+    if (removed.length > 0) {
+      await db.upload.remove({ id: { $in: removed.map(doc => doc.id) } }, { multi: true });
+    }
+    const hashes = new Set(removed.flatMap(doc => [doc.hash, doc.thumbHash]).filter(Boolean));
+    for (const hash of hashes) {
+      if (await db.upload.count({ $or: [{ hash }, { thumbHash: hash }] }) === 0) {
+        await fs.promises.unlink(this.blobPath(hash)).catch(() => {});
+      }
+    }
+    await this.pruneTmpFiles();
+    return { count: removed.length, size: removed.reduce((sum, doc) => sum + doc.size, 0) };
+  }
+
+  // 删除不属于进行中的上传且长时间没有修改的临时文件
+  async pruneTmpFiles() {
+    const active = new Set([...this.sessions.values()].map(session => path.basename(session.tmpPath)));
+    const names = await fs.promises.readdir(this.tmpDir).catch(() => []);
+    const now = new Date().getTime();
+    for (const name of names.filter(name => !active.has(name))) {
+      const filePath = path.join(this.tmpDir, name);
+      const stat = await fs.promises.stat(filePath).catch(() => null);
+      if (stat && now - stat.mtimeMs > UPLOAD_SESSION_TTL) {
+        await fs.promises.unlink(filePath).catch(() => {});
+      }
+    }
+  }
+
+  // 启动时清理一次，之后定时清理
+  startCleanup() {
+    const run = () => this.cleanup()
+      .then(({ count, size }) => count > 0 && console.log(`已清理${count}个上传文件，共${formatSize(size)}`))
+      .catch(error => console.error('清理上传文件失败:', error));
+    run();
+    setInterval(run, CLEANUP_INTERVAL).unref();
+  }
+
+  /**
+   * 按用户统计上传空间的使用情况（管理员功能）
+   * @returns {Promise<Object>} - { total, users, quota }，users按使用空间从大到小排序
+   */
+  async getStorageReport() {
+    const docs = await db.upload.find({}, { projection: { ownerId: 1, size: 1, hash: 1, refCount: 1 } });
+    const users = new Map();
+    const blobs = new Map();
+    let unreferenced = 0;
+    docs.forEach(doc => {
+      const usage = users.get(doc.ownerId) || { userId: doc.ownerId, count: 0, size: 0 };
+      usage.count++;
+      usage.size += doc.size;
+      users.set(doc.ownerId, usage);
+      blobs.set(doc.hash, doc.size);
+      if (!(doc.refCount > 0)) {
+        unreferenced++;
+      }
+    });
+    return {
+      total: {
+        count: docs.length,
+        size: docs.reduce((sum, doc) => sum + doc.size, 0),
+        // 相同内容只保存一份，实际占用的磁盘空间（不含缩略图）
+        diskSize: [...blobs.values()].reduce((sum, size) => sum + size, 0),
+        unreferenced
+      },
+      users: [...users.values()].sort((a, b) => b.size - a.size),
+      quota: {
+        user: this.config.userQuota,
+        total: this.config.totalQuota,
+        retentionDays: this.config.retention / (24 * 60 * 60 * 1000)
+      }
+    };
+  }
+
+  /**
+   * 获取上传记录
+   * @param {string} id - 上传记录ID
+   * @returns {Promise<Object|null>}
+   */
+  async getFile(id) {
+    if (typeof id !== 'string') {
+      return null;
+    }
+    return db.upload.findOne({ id });
+  }
+
+  /**
+   * 检查用户能否下载文件：上传者本人，或引用该文件的消息的双方（群聊为群组成员）
+   * 消息撤回后内容被清空，对方随之不能再下载
+   * @param {Object} user - 访问token中的用户
+   * @param {Object} file - 上传记录
+   * @returns {Promise<boolean>}
+   */
+  async canDownload(user, file) {
+    if (file.ownerId === user.id) {
+      return true;
+    }
+    const docs = await db.message.find({ type: file.kind, content: file.id });
+    for (const doc of docs) {
+      if (doc.toType === 'group') {
+        const room = await this.roomManager.getRoom(doc.toId);
+        if (room && this.roomManager.isMember(room, user.id)) {
+          return true;
+        }
+      } else if (doc.fromId === user.id || doc.toId === user.id) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // 发给客户端的上传信息，不包含内容哈希和上传者，图片包含宽高，语音包含时长
+  toSummary(record) {
+    const { id, name, size, mime, kind, width, height, duration } = record;
+    if (kind === 'image') {
+      return { id, name, size, mime, kind, width, height };
+    }
+    return kind === 'voice' ? { id, name, size, mime, kind, duration } : { id, name, size, mime, kind };
+  }
+}
+
+// 校验Authorization头中的访问token（Bearer），会话被撤销后不能继续使用
+function createAuthenticate(sessionManager = new SessionManager()) {
+  return async (req, res, next) => {
+    const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+    const decode = match ? jwt.decode(match[1]) : null;
+    const user = decode && decode.data;
+    if (!user || !await sessionManager.isActive(user.sessionId, user.id)) {
+      res.status(401).json({ error: '登录已失效，请重新登录' });
+      return;
+    }
+    req.user = user;
+    next();
+  };
+}
+
+// 返回文件内容，图片在页面中直接显示，其他文件作为附件下载，options为res.sendFile的选项
+function sendUpload(res, uploadManager, file, options = {}) {
+  res.set('X-Content-Type-Options', 'nosniff');
+  if (file.kind !== 'image') {
+    res.attachment(file.name);
+  }
+  res.type(file.mime);
+  res.sendFile(path.resolve(uploadManager.blobPath(file.hash)), options, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).end();
+    }
+  });
+}
+
+// 把处理函数中抛出的错误转换为JSON响应，处理函数没有返回值时表示已自行发送响应（如文件内容）
+function handle(handler, failMessage = '上传失败') {
+  return async (req, res) => {
+    try {
+      const result = await handler(req, res);
+      if (result !== undefined) {
+        res.json(result);
+      }
+    } catch (error) {
+      if (!error.status) {
+        console.error(`${failMessage}:`, error);
+      }
+      if (!res.headersSent) {
+        res.status(error.status || 500).json({ error: error.status ? error.message : failMessage });
+      }
+    }
+  };
+}
+
+/**
+ * 读取有权限查看的上传记录，没有权限时同样返回404，不暴露文件是否存在
+ * @param {UploadManager} uploadManager - 上传管理器
+ * @param {Object} user - 请求的用户
+ * @param {string} id - 上传记录ID
+ * @param {Array<string>} kinds - 允许读取的上传类型
+ * @param {string} message - 没有权限时的错误信息
+ * @returns {Promise<Object>}
+ */
+async function findReadableFile(uploadManager, user, id, kinds, message) {
+  const file = await uploadManager.getFile(id);
+  if (!file || !kinds.includes(file.kind) || !await uploadManager.canDownload(user, file)) {
+    throw uploadError(message, 404);
+  }
+  return file;
+}
+
+// 需要登录才能读取的图片只允许浏览器缓存，不允许代理缓存
+const IMAGE_CACHE_CONTROL = 'private, max-age=604800, immutable';
+
+/**
+ * 创建上传路由
+ * POST /uploads                          开始上传，body: { name, size, mime }
+ * PUT  /uploads/:uploadId/chunks/:index  上传分片，body为分片的二进制内容
+ * POST /uploads/:uploadId/complete       完成上传，返回 { id, name, size, mime, kind }
+ * GET  /files/:id                        读取图片，只有上传者和消息的双方（群聊为群组成员）可以读取，文件需要通过下载路由下载
+ * GET  /files/:id/thumb                  读取图片的缩略图，没有缩略图时返回原图，权限与读取图片相同
+ * 都需要在Authorization头中携带访问token（Bearer）
+ * @param {UploadManager} uploadManager - 上传管理器
+ * @returns {express.Router}
+ */
+function createUploadRouter(uploadManager = new UploadManager()) {
+  const router = express.Router();
+  const authenticate = createAuthenticate();
+
+  router.post('/uploads', authenticate, express.json({ limit: '10kb' }), handle(req => {
+    return uploadManager.start(req.user, req.body);
+  }));
+  router.put('/uploads/:uploadId/chunks/:index', authenticate,
+    express.raw({ type: 'application/octet-stream', limit: CHUNK_SIZE }),
+    handle(req => uploadManager.writeChunk(req.user, req.params.uploadId, Number(req.params.index), req.body)));
+  router.post('/uploads/:uploadId/complete', authenticate, handle(req => {
+    return uploadManager.complete(req.user, req.params.uploadId);
+  }));
+
+  router.get('/files/:id', authenticate, handle(async (req, res) => {
+    const file = await findReadableFile(uploadManager, req.user, req.params.id, ['image'], '图片不存在或无权查看');
+    res.set('Cache-Control', IMAGE_CACHE_CONTROL);
+    sendUpload(res, uploadManager, file, { cacheControl: false });
+  }, '读取失败'));
+  router.get('/files/:id/thumb', authenticate, handle(async (req, res) => {
+    const file = await findReadableFile(uploadManager, req.user, req.params.id, ['image'], '图片不存在或无权查看');
+    res.set('Cache-Control', IMAGE_CACHE_CONTROL);
+    sendUpload(res, uploadManager, file.thumbHash ? { ...file, hash: file.thumbHash, mime: 'image/webp' } : file, { cacheControl: false });
+  }, '读取失败'));
+
+  // 分片超过大小限制、JSON格式错误等
+  router.use((error, req, res, next) => {
+    if (res.headersSent) {
+      next(error);
+      return;
+    }
+    res.status(error.status || 500).json({ error: error.status === 413 ? '分片大小不正确' : '请求格式错误' });
+  });
+  return router;
+}
+
+/**
+ * 创建文件下载路由
+ * GET /files/:id  下载文件消息中的文件和语音消息中的语音，需要在Authorization头中携带访问token（Bearer），
+ *                 只有上传者和消息的双方（群聊为群组成员）可以下载
+ * @param {UploadManager} uploadManager - 上传管理器
+ * @returns {express.Router}
+ */
+function createDownloadRouter(uploadManager = new UploadManager()) {
+  const router = express.Router();
+  router.get('/files/:id', createAuthenticate(), handle(async (req, res) => {
+    const file = await findReadableFile(uploadManager, req.user, req.params.id, ['file', 'voice'], '文件不存在或无权下载');
+    // 下载地址带有权限校验，不允许浏览器和代理缓存
+    res.set('Cache-Control', 'private, no-store');
+    sendUpload(res, uploadManager, file, { cacheControl: false });
+  }, '下载失败'));
+  return router;
+}
+
+module.exports = { UploadManager, UPLOAD_TYPES, getUploadConfig, detectImageType, createUploadRouter, createDownloadRouter };
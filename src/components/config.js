@@ -1,3 +1,7 @@
 export const BASE_URL = process.env.BASE_URL
 export const BELL_URL = BASE_URL+'static/8400.mp3'
 export const EMOJI_BASE_URL = BASE_URL+'static/img/emoji'
+// 上传接口地址，与socket服务在同一个地址
+export const API_URL = (window._HOST||'')+'/api'
+// 文件下载地址，需要登录且只有消息双方可以下载
+export const ASSETS_URL = (window._HOST||'')+'/assets'
@@ -23,6 +23,24 @@ export const friendlyTime = (value) => {
     return date.getFullYear()+"."+(date.getMonth()+1)+"."+date.getDate();
   }
 }
+// 文件大小
+export const formatSize = (value) => {
+  if(value<1024){
+    return value+"B";
+  }
+  if(value<1024*1024){
+    return (value/1024).toFixed(1)+"K";
+  }
+  return (value/1024/1024).toFixed(1)+"M";
+}
+// 语音时长，如 5″、1:05
+export const formatDuration = (value) => {
+  const seconds=Math.round(value||0);
+  if(seconds<60){
+    return seconds+"″";
+  }
+  return Math.floor(seconds/60)+":"+(seconds%60>9?seconds%60:"0"+seconds%60);
+}
 export const formatTime = (value) => {
   let date=new Date(value);
   let year=date.getFullYear();
@@ -0,0 +1,112 @@
+// 语音录制：通过MediaRecorder录音，结束后转为16kHz单声道的WAV（16位PCM）再上传，
+// 各浏览器录制的格式不同（webm、mp4等），统一转为WAV后服务端可以按文件头校验时长
+
+// 录音的最长和最短时长（秒），与服务端的默认限制一致
+export const VOICE_MAX_SECONDS=60;
+export const VOICE_MIN_SECONDS=1;
+// 语音的采样率，16kHz足够清晰，60秒的语音不到2M
+const SAMPLE_RATE=16000;
+
+// 浏览器是否支持录音，麦克风只能在https或localhost下使用
+export function isRecordSupported(){
+  return !!(navigator.mediaDevices&&navigator.mediaDevices.getUserMedia&&window.MediaRecorder
+    &&(window.AudioContext||window.webkitAudioContext)&&window.OfflineAudioContext);
+}
+
+// 把-1~1之间的采样编码为16位PCM的WAV
+function encodeWav(samples,sampleRate){
+  const buffer=new ArrayBuffer(44+samples.length*2);
+  const view=new DataView(buffer);
+  const writeText=(offset,text)=>{
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset+i,text.charCodeAt(i));
+    }
+  };
+  writeText(0,'RIFF');
+  view.setUint32(4,36+samples.length*2,true);
+  writeText(8,'WAVE');
+  writeText(12,'fmt ');
+  view.setUint32(16,16,true);
+  // PCM格式、单声道
+  view.setUint16(20,1,true);
+  view.setUint16(22,1,true);
+  view.setUint32(24,sampleRate,true);
+  view.setUint32(28,sampleRate*2,true);
+  view.setUint16(32,2,true);
+  view.setUint16(34,16,true);
+  writeText(36,'data');
+  view.setUint32(40,samples.length*2,true);
+  for (let i = 0; i < samples.length; i++) {
+    const value=Math.max(-1,Math.min(1,samples[i]));
+    view.setInt16(44+i*2,value<0?value*0x8000:value*0x7fff,true);
+  }
+  return buffer;
+}
+
+// 解码录制的音频，重采样为单声道后编码为WAV
+async function toWav(blob){
+  const AudioContext=window.AudioContext||window.webkitAudioContext;
+  const context=new AudioContext();
+  let audio;
+  try {
+    audio=await context.decodeAudioData(await blob.arrayBuffer());
+  }catch (e) {
+    throw new Error('录音失败，请重试');
+  }finally {
+    context.close();
+  }
+  const offline=new OfflineAudioContext(1,Math.max(1,Math.ceil(audio.duration*SAMPLE_RATE)),SAMPLE_RATE);
+  const source=offline.createBufferSource();
+  source.buffer=audio;
+  source.connect(offline.destination);
+  source.start();
+  const samples=(await offline.startRendering()).getChannelData(0);
+  return {
+    file:new File([encodeWav(samples,SAMPLE_RATE)],'voice.wav',{type:'audio/wav'}),
+    duration:Math.round(samples.length/SAMPLE_RATE*10)/10
+  };
+}
+
+/**
+ * 开始录音
+ * @returns {Promise<Object>} - { stop, cancel }，stop结束录音并返回 { file, duration }，cancel结束录音并丢弃
+ */
+export async function startRecord(){
+  if(!isRecordSupported()){
+    throw new Error('当前浏览器不支持录音');
+  }
+  let stream;
+  try {
+    stream=await navigator.mediaDevices.getUserMedia({audio:true});
+  }catch (e) {
+    throw new Error('无法使用麦克风，请允许浏览器录音');
+  }
+  const recorder=new MediaRecorder(stream);
+  const chunks=[];
+  const stopped=new Promise(resolve=>{
+    recorder.onstop=resolve;
+  });
+  recorder.ondataavailable=(e)=>{
+    if(e.data.size){
+      chunks.push(e.data);
+    }
+  };
+  recorder.start();
+  // 停止录音并关闭麦克风
+  const finish=async ()=>{
+    if(recorder.state!=='inactive'){
+      recorder.stop();
+    }
+    await stopped;
+    stream.getTracks().forEach(track=>track.stop());
+  };
+  return {
+    async stop(){
+      await finish();
+      return toWav(new Blob(chunks,{type:recorder.mimeType}));
+    },
+    cancel(){
+      finish();
+    }
+  };
+}
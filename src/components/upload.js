@@ -0,0 +1,119 @@
+import {API_URL,ASSETS_URL} from "./config";
+
+// 可以作为文件发送的类型：扩展名 -> MIME，与服务端允许的类型一致
+// 浏览器识别的类型因系统而异（如.log、.zip），上传时按扩展名确定
+export const FILE_TYPES = {
+  pdf:'application/pdf',
+  txt:'text/plain',
+  log:'text/plain',
+  zip:'application/zip',
+  doc:'application/msword',
+  docx:'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls:'application/vnd.ms-excel',
+  xlsx:'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt:'application/vnd.ms-powerpoint',
+  pptx:'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+// 文件选择框的accept属性
+export const FILE_ACCEPT = Object.keys(FILE_TYPES).map(ext=>'.'+ext).join(',');
+
+// 文件的扩展名，小写
+export function fileExtension(name){
+  return name.includes('.')?name.split('.').pop().toLowerCase():'';
+}
+
+// 解析接口返回，失败时抛出服务端返回的错误信息
+async function parseResponse(response,fallback='上传失败'){
+  let data={};
+  try {
+    data=await response.json();
+  }catch (e) {
+    data={};
+  }
+  if(!response.ok){
+    throw new Error(data.error||fallback);
+  }
+  return data;
+}
+
+/**
+ * 分片上传文件
+ * @param {File} file - 要上传的文件
+ * @param {string} token - 访问token
+ * @param {Function} onProgress - 上传进度回调，参数为0-1之间的数字
+ * @returns {Promise<Object>} - 上传记录 { id, name, size, mime, kind }，图片另有宽高，语音另有时长
+ */
+export async function uploadFile(file,token,onProgress=()=>{}){
+  const headers={Authorization:'Bearer '+token};
+  const mime=FILE_TYPES[fileExtension(file.name)]||file.type;
+  const {uploadId,chunkSize,totalChunks}=await parseResponse(await fetch(API_URL+'/uploads',{
+    method:'POST',
+    headers:{...headers,'Content-Type':'application/json'},
+    body:JSON.stringify({name:file.name,size:file.size,mime})
+  }));
+  for (let i = 0; i < totalChunks; i++) {
+    await parseResponse(await fetch(`${API_URL}/uploads/${uploadId}/chunks/${i}`,{
+      method:'PUT',
+      headers:{...headers,'Content-Type':'application/octet-stream'},
+      body:file.slice(i*chunkSize,(i+1)*chunkSize)
+    }));
+    onProgress((i+1)/totalChunks);
+  }
+  return parseResponse(await fetch(`${API_URL}/uploads/${uploadId}/complete`,{
+    method:'POST',
+    headers
+  }));
+}
+
+/**
+ * 读取上传的图片、文件和语音，读取地址需要在请求头中携带访问token，因此读取为blob
+ * @param {string} url - 读取地址，如fileUrl、thumbUrl、downloadUrl返回的地址
+ * @param {string} token - 访问token
+ * @returns {Promise<Blob>}
+ */
+export async function fetchFile(url,token){
+  const response=await fetch(url,{
+    headers:{Authorization:'Bearer '+token}
+  });
+  if(!response.ok){
+    await parseResponse(response,'下载失败');
+  }
+  return response.blob();
+}
+
+/**
+ * 下载文件消息中的文件，读取为blob后保存
+ * @param {string} id - 上传记录ID
+ * @param {string} name - 保存的文件名
+ * @param {string} token - 访问token
+ */
+export async function downloadFile(id,name,token){
+  const url=URL.createObjectURL(await fetchFile(downloadUrl(id),token));
+  const link=document.createElement('a');
+  link.href=url;
+  link.download=name;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(()=>URL.revokeObjectURL(url),1000);
+}
+
+// 消息内容是否为上传记录的ID，旧版本的图片消息内容为图片地址，发送中的消息内容为本地预览地址
+export function isUploadId(content){
+  return !/^(?:\/|https?:|blob:|data:)/.test(content);
+}
+
+// 图片地址，上传的图片需要携带访问token读取
+export function fileUrl(content){
+  return isUploadId(content)?`${API_URL}/files/${content}`:content;
+}
+
+// 图片缩略图地址，旧版本的图片和发送中的本地预览没有缩略图
+export function thumbUrl(content){
+  return isUploadId(content)?`${API_URL}/files/${content}/thumb`:content;
+}
+
+// 文件消息和语音消息的下载地址
+export function downloadUrl(id){
+  return `${ASSETS_URL}/files/${id}`;
+}